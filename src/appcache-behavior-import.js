@@ -14,19 +14,90 @@
 */
 
 /* eslint-env worker, serviceworker */
+/* global AbortController */
 
 'use strict';
 
+import DownloadQueue from './lib/download-queue.js';
 import IDBHelper from './lib/idb-helper.js';
 import logHelper from './lib/log-helper.js';
 import constants from './lib/constants.js';
+import md5 from 'blueimp-md5';
+import parseAppCacheManifest from 'parse-appcache-manifest';
+import urlMatcher from './lib/url-matcher.js';
 
 const idbHelpers = {};
 Object.keys(constants.STORES).forEach((storeId) => {
   idbHelpers[constants.STORES[storeId]] = new IDBHelper(
-    constants.DB_NAME, constants.DB_VERSION, constants.STORES[storeId]);
+    constants.DB_NAME, constants.DB_VERSION, constants.STORES[storeId],
+    upgradeDb);
 });
 
+// Matches the names of the caches this library creates: a manifest version's
+// hash, with a suffix for temporary caches.
+const CACHE_NAME_REGEXP = new RegExp(
+  '^([0-9a-f]{32})(' + constants.STAGING_CACHE_SUFFIX + ')?$');
+
+// The hash algorithms that can be used in integrity annotations, and their
+// names in the Web Crypto API.
+const INTEGRITY_ALGORITHMS = {
+  sha256: 'SHA-256',
+  sha384: 'SHA-384',
+  sha512: 'SHA-512',
+};
+
+// Maps client ids to the URLs they were loaded from, to avoid calling
+// clients.get() for every request.
+const clientUrls = new Map();
+
+// Matchers compiled for manifest versions that don't have one stored.
+const compiledMatchers = new WeakMap();
+
+// For each manifest version, maps the lookup URLs of its CACHE entries to
+// the entries themselves. This depends on config.ignoredSearchParams, so it's
+// replaced when that changes.
+let cacheEntryIndexes = new WeakMap();
+
+// The options passed to goog.appCacheBehavior.configure().
+const config = {
+  downloads: {
+    concurrency: 6,
+    retries: 2,
+    retryDelay: 1000,
+  },
+  networkTimeouts: {
+    prefixes: {},
+  },
+  ignoredSearchParams: [],
+  maxManifestStaleness: 24 * 60 * 60 * 1000,
+  offlineResponses: [],
+};
+
+// Limits how many manifest entries are downloaded at once, across all the
+// updates in progress.
+const downloadQueue = new DownloadQueue(config.downloads.concurrency);
+
+// Manifest updates that are in progress, keyed by manifest URL. Each value is
+// an Object with {manifestUrl, abortController, clients, promise} properties.
+const updatesInProgress = new Map();
+
+/**
+ * Creates any of the object stores that are missing when the database is
+ * created or upgraded. This can't be left to each IDBHelper, since only the
+ * first one to open the database gets to upgrade it.
+ *
+ * @private
+ * @param {UpgradeDB} upgradeDB
+ */
+function upgradeDb(upgradeDB) {
+  Object.keys(constants.STORES).forEach((storeId) => {
+    const storeName = constants.STORES[storeId];
+    if (!upgradeDB.objectStoreNames.contains(storeName)) {
+      upgradeDB.createObjectStore(storeName);
+    }
+  });
+}
+
 /**
  * Determines what the most likely URL is associated with the client page from
  * which the event's request originates. This is used to determine which
@@ -37,10 +108,19 @@ Object.keys(constants.STORES).forEach((storeId) => {
  * @return {Promise.<String>} The client URL
  */
 function getClientUrlForEvent(event) {
+  if (clientUrls.has(event.clientId)) {
+    return Promise.resolve(clientUrls.get(event.clientId));
+  }
+
   // If our service worker implementation supports client identifiers, try
   // to get the client URL using that.
   return self.clients.get(event.clientId)
-    .then((client) => client.url)
+    .then((client) => {
+      // A client keeps the manifest it was loaded with, so its URL only needs
+      // to be looked up once.
+      clientUrls.set(event.clientId, client.url);
+      return client.url;
+    })
     // If those aren't supported, .catch() any errors and try something else.
     .catch((error) => {
       logHelper.error(
@@ -75,27 +155,291 @@ function longestMatchingPrefix(urlPrefixes, fullUrl) {
 }
 
 /**
- * Performs a fetch(), using a cached response as a fallback if that fails.
+ * Resolves a URL and drops its fragment, which App Cache ignores on both the
+ * manifest and the request side.
+ * See https://html.spec.whatwg.org/multipage/browsers.html#parsing-cache-manifests
+ *
+ * @private
+ * @param {String} url
+ * @param {String} [baseUrl]
+ * @return {String}
+ */
+function normalizeUrl(url, baseUrl) {
+  const normalizedUrl = new URL(url, baseUrl);
+  normalizedUrl.hash = '';
+  return normalizedUrl.href;
+}
+
+/**
+ * Gets the URL that's used to look up a CACHE or master entry. It's the
+ * normalized URL, minus any query parameters that config.ignoredSearchParams
+ * says to ignore, either for the manifest or for a prefix of the URL.
+ *
+ * @private
+ * @param {String} url
+ * @param {String} [manifestUrl]
+ * @return {String}
+ */
+function getLookupUrl(url, manifestUrl) {
+  const lookupUrl = new URL(url);
+  lookupUrl.hash = '';
+
+  const rules = config.ignoredSearchParams.filter((rule) => {
+    return (rule.manifestUrl && rule.manifestUrl === manifestUrl) ||
+      (rule.prefix && lookupUrl.href.startsWith(rule.prefix));
+  });
+
+  // Deleting a parameter reserializes the whole query string, so that's only
+  // done for the parameters which are actually present.
+  [].concat(...rules.map((rule) => rule.params))
+    .filter((name) => lookupUrl.searchParams.has(name))
+    .forEach((name) => lookupUrl.searchParams.delete(name));
+
+  return lookupUrl.href;
+}
+
+/**
+ * Finds the CACHE entry of a manifest version which a lookup URL corresponds
+ * to. When query parameters are ignored, the entries are indexed by their own
+ * lookup URLs, once per version.
+ *
+ * @private
+ * @param {Object} version
+ * @param {String} manifestUrl
+ * @param {String} lookupUrl The result of getLookupUrl().
+ * @return {String} The URL that the entry is cached under, or null.
+ */
+function findCacheEntry(version, manifestUrl, lookupUrl) {
+  if (!config.ignoredSearchParams.length) {
+    return getMatcher(version).cache.has(lookupUrl) ? lookupUrl : null;
+  }
+
+  if (!cacheEntryIndexes.has(version)) {
+    const index = new Map();
+    version.parsed.cache.forEach((entryUrl) => {
+      index.set(getLookupUrl(entryUrl, manifestUrl), entryUrl);
+    });
+    cacheEntryIndexes.set(version, index);
+  }
+
+  return cacheEntryIndexes.get(version).get(lookupUrl) || null;
+}
+
+/**
+ * Finds the manifest which a page is a master entry of, in IndexedDB's
+ * PATH_TO_MANIFEST. Since master entries are stored under their lookup URLs,
+ * the lookup URL for each manifest with ignored query parameters is tried in
+ * turn, and only accepted if the manifest it leads to agrees.
+ *
+ * @private
+ * @param {String} pageUrl
+ * @return {Promise.<String>} The manifest URL, or undefined if there isn't one.
+ */
+function findManifestForPage(pageUrl) {
+  const candidates = [normalizeUrl(pageUrl), getLookupUrl(pageUrl)];
+  config.ignoredSearchParams.forEach((rule) => {
+    if (rule.manifestUrl) {
+      candidates.push(getLookupUrl(pageUrl, rule.manifestUrl));
+    }
+  });
+
+  const pathToManifestStore = idbHelpers[constants.STORES.PATH_TO_MANIFEST];
+  return candidates
+    .filter((candidate, i) => candidates.indexOf(candidate) === i)
+    .reduce((promise, candidate) => promise.then((found) => {
+      if (found) {
+        return found;
+      }
+
+      return pathToManifestStore.get(candidate).then((manifestUrl) => {
+        if (manifestUrl && getLookupUrl(pageUrl, manifestUrl) === candidate) {
+          return manifestUrl;
+        }
+      });
+    }), Promise.resolve());
+}
+
+/**
+ * Determines whether an offline response rule applies to a request. A rule's
+ * destination and mode can each be a string or an array of strings, and are
+ * compared with the request's; a rule without them applies to any request.
+ *
+ * @private
+ * @param {Object} rule
+ * @param {Request} request
+ * @return {Boolean}
+ */
+function ruleMatchesRequest(rule, request) {
+  const matches = (allowed, actual) => {
+    return allowed === undefined || [].concat(allowed).includes(actual);
+  };
+
+  return matches(rule.destination, request.destination) &&
+    matches(rule.mode, request.mode);
+}
+
+/**
+ * Gets the response to use when a request doesn't match anything in the
+ * manifest, or when it can't be fulfilled from the network or the cache.
+ * The first rule in config.offlineResponses that matches the request is used,
+ * and if none match, it falls back to Response.error().
  *
  * @private
  * @param {Request} request
+ * @param {Error} [error] The reason the request failed, if it did.
+ * @return {Promise.<Response>}
+ */
+function getOfflineResponse(request, error) {
+  const rule = config.offlineResponses.find(
+    (rule) => ruleMatchesRequest(rule, request));
+
+  let responsePromise = Promise.resolve();
+  if (rule && rule.handler) {
+    logHelper.log('Using an offline response handler for', request.url);
+    responsePromise = Promise.resolve(rule.handler(request, error));
+  } else if (rule && rule.url) {
+    logHelper.log('Using the offline page', rule.url, 'for', request.url);
+    responsePromise = caches.match((new URL(rule.url, location.href)).href);
+  } else if (rule && rule.json) {
+    logHelper.log('Using an offline JSON response for', request.url);
+    responsePromise = Promise.resolve(new Response(JSON.stringify(rule.json), {
+      status: rule.status || 503,
+      headers: {'Content-Type': 'application/json'},
+    }));
+  }
+
+  return responsePromise.then((response) => response || Response.error());
+}
+
+/**
+ * Gets the number of milliseconds to wait for a network response before
+ * giving up on it, based on config.networkTimeouts. A matching URL prefix
+ * takes precedence over the setting for the manifest section.
+ *
+ * @private
+ * @param {String} section Either 'fallback' or 'network'.
+ * @param {String} url
+ * @return {Number} The timeout, or 0 if there isn't one.
+ */
+function getNetworkTimeout(section, url) {
+  const timeouts = config.networkTimeouts;
+  const prefix = longestMatchingPrefix(Object.keys(timeouts.prefixes), url);
+  if (prefix) {
+    return timeouts.prefixes[prefix];
+  }
+
+  return timeouts[section] || 0;
+}
+
+/**
+ * Waits for a fetch() to settle, but rejects with a TimeoutError if it takes
+ * longer than the given number of milliseconds.
+ *
+ * @private
+ * @param {Promise.<Response>} fetchPromise
+ * @param {Number} timeout No timeout is used if this is 0.
+ * @return {Promise.<Response>}
+ */
+function withTimeout(fetchPromise, timeout) {
+  if (!timeout) {
+    return fetchPromise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      const error = Error('No network response after ' + timeout + 'ms.');
+      error.name = 'TimeoutError';
+      reject(error);
+    }, timeout);
+
+    fetchPromise.then((response) => {
+      clearTimeout(timeoutId);
+      resolve(response);
+    }, (error) => {
+      clearTimeout(timeoutId);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Makes the network request for a fetch event. If navigation preload is
+ * enabled, the preloaded response is used instead of starting a new request.
+ *
+ * @private
+ * @param {FetchEvent} event
+ * @return {Promise.<Response>}
+ */
+function fetchFromNetwork(event) {
+  return Promise.resolve(event.preloadResponse).then((preloadResponse) => {
+    if (preloadResponse) {
+      logHelper.log('Using the preloaded response for', event.request.url);
+      return preloadResponse;
+    }
+
+    return fetch(event.request);
+  });
+}
+
+/**
+ * Performs a fetch(), using the configured offline response if that fails or
+ * times out. A response which arrives after the timeout is discarded.
+ *
+ * @private
+ * @param {FetchEvent} event
+ * @return {Promise.<Response>}
+ */
+function fetchWithOfflineResponse(event) {
+  const request = event.request;
+  const timeout = getNetworkTimeout('network', request.url);
+  return withTimeout(fetchFromNetwork(event), timeout)
+    .catch((error) => getOfflineResponse(request, error));
+}
+
+/**
+ * Performs a fetch(), using a cached response as a fallback if that fails or
+ * times out.
+ *
+ * If the fetch() times out and the fallback is the cached copy of the request
+ * URL itself, then a response that arrives later is used to refresh that
+ * cached copy. Otherwise, it's discarded.
+ *
+ * @private
+ * @param {FetchEvent} event
  * @param {String} fallbackUrl
  * @param {String} cacheName
+ * @param {Boolean} [isCachedCopy] Whether fallbackUrl is the cached copy of
+ * the request URL, rather than a FALLBACK entry.
  * @return {Promise.<Response>}
  */
-function fetchWithFallback(request, fallbackUrl, cacheName) {
+function fetchWithFallback(event, fallbackUrl, cacheName, isCachedCopy) {
+  const request = event.request;
   logHelper.log('Trying fetch for', request.url);
-  return fetch(request).then((response) => {
+  const fetchPromise = fetchFromNetwork(event).then((response) => {
     // Succesful but error-like responses are treated as failures.
     // Ditto for redirects to other origins.
     if (!response.ok || (new URL(response.url).origin !== location.origin)) {
       throw Error('Fallback request failure.');
     }
     return response;
-  }).catch(() => {
+  });
+
+  const timeout = getNetworkTimeout('fallback', request.url);
+  return withTimeout(fetchPromise, timeout).catch((error) => {
+    if (error.name === 'TimeoutError' && isCachedCopy) {
+      event.waitUntil(fetchPromise.then((response) => {
+        logHelper.log('Refreshing the cached copy of', fallbackUrl);
+        return caches.open(cacheName)
+          .then((cache) => cache.put(fallbackUrl, response));
+      }).catch(() => {
+        // The late response failed too, so there's nothing to refresh.
+      }));
+    }
+
     logHelper.warn('fetch() failed. Falling back to cache of', fallbackUrl);
-    return caches.open(cacheName).then(
-      (cache) => cache.match(fallbackUrl));
+    return caches.open(cacheName)
+      .then((cache) => cache.match(fallbackUrl))
+      .then((response) => response || getOfflineResponse(request, error));
   });
 }
 
@@ -118,36 +462,40 @@ function getLatestManifestVersion(manifestUrl) {
 
 /**
  * Checks IndexedDB for a manifest with a given URL, versioned with the
- * given hash. If found, it fulfills with the parsed manifest.
+ * given hash. If found, it fulfills with info about that version.
  *
  * @private
  * @param {String} manifestUrl
  * @param {String} manifestHash
  * @return {Promise.<Object>}
  */
-function getParsedManifestVersion(manifestUrl, manifestHash) {
+function getManifestVersion(manifestUrl, manifestHash) {
   return idbHelpers[constants.STORES.MANIFEST_URL_TO_CONTENTS].get(manifestUrl)
     .then((versions) => {
       versions = versions || [];
       logHelper.log('versions is', versions);
-      return versions.reduce((result, current) => {
-        logHelper.log('current is', current);
-        // If we already have a result, just keep returning it.
-        if (result) {
-          logHelper.log('result is', result);
-          return result;
-        }
+      return versions.find((version) => version.hash === manifestHash);
+    });
+}
 
-        // Otherwise, check to see if the hashes match. If so, use the parsed
-        // manifest for the current entry as the result.
-        if (current.hash === manifestHash) {
-          logHelper.log('manifestHash match', current);
-          return current.parsed;
-        }
+/**
+ * Gets the compiled URL matcher for a manifest version. Versions that were
+ * stored before matchers were saved alongside them are compiled on demand,
+ * once per version.
+ *
+ * @private
+ * @param {Object} version
+ * @return {Object}
+ */
+function getMatcher(version) {
+  if (version.matcher) {
+    return version.matcher;
+  }
 
-        return null;
-      }, null);
-    });
+  if (!compiledMatchers.has(version)) {
+    compiledMatchers.set(version, urlMatcher.compile(version.parsed));
+  }
+  return compiledMatchers.get(version);
 }
 
 /**
@@ -169,51 +517,93 @@ function saveClientIdAndHash(clientId, hash) {
 }
 
 /**
- * Implements the actual AppCache logic, given a specific manifest and hash
- * used as a cache identifier.
+ * Implements the actual AppCache logic, given a specific manifest version.
+ * The version's hash is used as a cache identifier.
  *
  * @private
  * @param {FetchEvent} event
- * @param {Object} manifest
- * @param {String} hash
+ * @param {String} manifestUrl
+ * @param {Object} version
  * @param {String} clientUrl
  * @return {Promise.<Response>}
  */
-function appCacheLogic(event, manifest, hash, clientUrl) {
+function appCacheLogic(event, manifestUrl, version, clientUrl) {
+  const manifest = version.parsed;
+  const hash = version.hash;
+  const matcher = getMatcher(version);
   logHelper.log('manifest is', manifest, 'version is', hash);
-  const requestUrl = event.request.url;
+  const requestUrl = normalizeUrl(event.request.url);
+
+  // CACHE and master entries are looked up without any query parameters
+  // that are configured to be ignored. The master entry for the client is
+  // cached under its lookup URL.
+  const lookupUrl = getLookupUrl(requestUrl, manifestUrl);
+  const clientLookupUrl = getLookupUrl(clientUrl, manifestUrl);
+  const isMasterEntry = lookupUrl === clientLookupUrl;
+
+  // If the manifest's SETTINGS section includes prefer-online, then master
+  // entries, i.e. the pages that registered the manifest, are fetched from the
+  // network whenever possible, using the cached copy as a fallback.
+  // See https://html.spec.whatwg.org/multipage/browsers.html#concept-appcache-mode-prefer-online
+  if (isMasterEntry && manifest.settings &&
+      manifest.settings.cacheMode === 'prefer-online') {
+    logHelper.log('Master entry with prefer-online; trying fetch() first');
+    return fetchWithFallback(event, clientLookupUrl, hash, true);
+  }
 
   // Is our request URL listed in the CACHES section?
   // Or is our request URL the client URL, since any page that
   // registers a manifest is treated as if it were in the CACHE?
-  if (manifest.cache.includes(requestUrl) || requestUrl === clientUrl) {
+  const cachedUrl = isMasterEntry ? clientLookupUrl :
+    findCacheEntry(version, manifestUrl, lookupUrl);
+  if (cachedUrl) {
     logHelper.log('CACHE includes URL; using cache.match()');
     // If so, return the cached response.
-    return caches.open(hash).then((cache) => cache.match(requestUrl));
+    return caches.open(hash).then((cache) => cache.match(cachedUrl))
+      .then((response) => {
+        // An opaque response can't be used for a CORS request, e.g. for a
+        // cross-origin font, so let that go to the network instead.
+        if (response && response.type === 'opaque' &&
+            event.request.mode === 'cors') {
+          logHelper.log('Cached response is opaque; using fetch()');
+          return fetchWithOfflineResponse(event);
+        }
+
+        return response || getOfflineResponse(event.request);
+      });
+  }
+
+  // Next, check whether a NETWORK entry matches. Like FALLBACK keys, NETWORK
+  // entries are URL prefixes, and a match means that the request always goes
+  // to the network, even if a FALLBACK prefix also matches.
+  // See https://html.spec.whatwg.org/multipage/browsers.html#changesToNetworkingModel
+  const networkPrefix = urlMatcher.longestPrefix(matcher.network, requestUrl);
+  if (networkPrefix) {
+    logHelper.log('Prefix in NETWORK matches', networkPrefix);
+    return fetchWithOfflineResponse(event);
   }
 
   // Otherwise, check the FALLBACK section next.
   // FALLBACK keys are URL prefixes, and if more than one prefix
   // matches our request URL, the longest prefix "wins".
   // (Of course, it might be that none of the prefixes match.)
-  const fallbackKey = longestMatchingPrefix(Object.keys(manifest.fallback),
-    requestUrl);
+  const fallbackKey = urlMatcher.longestPrefix(matcher.fallback, requestUrl);
   if (fallbackKey) {
     logHelper.log('fallbackKey in parsedManifest matches', fallbackKey);
-    return fetchWithFallback(event.request, manifest.fallback[fallbackKey],
-      hash);
+    return fetchWithFallback(event, manifest.fallback[fallbackKey], hash);
   }
 
-  // If CACHE and FALLBACK don't apply, try NETWORK.
-  if (manifest.network.includes(requestUrl) ||
-      manifest.network.includes('*')) {
-    logHelper.log('Match or * in NETWORK; using fetch()');
-    return fetch(event.request);
+  // If CACHE, NETWORK prefixes and FALLBACK don't apply, then the request can
+  // still go to the network if the NETWORK section contains the * wildcard.
+  if (matcher.networkWildcard) {
+    logHelper.log('* in NETWORK; using fetch()');
+    return fetchWithOfflineResponse(event);
   }
 
-  // If nothing matches, then return an error response.
-  logHelper.log('Nothing matches; using Response.error()');
-  return Response.error();
+  // If nothing matches, then return the configured offline response, which
+  // defaults to an error response.
+  logHelper.log('Nothing matches; using the offline response');
+  return getOfflineResponse(event.request);
 }
 
 /**
@@ -232,9 +622,9 @@ function manifestBehavior(event, manifestUrl, clientUrl) {
         // If we already have a hash assigned to this client id, use that
         // manifest to implement the AppCache logic.
         if (hash) {
-          return getParsedManifestVersion(manifestUrl, hash)
-            .then((parsedManifest) => appCacheLogic(event, parsedManifest, hash,
-              clientUrl));
+          return getManifestVersion(manifestUrl, hash).then((version) => {
+            return appCacheLogic(event, manifestUrl, version, clientUrl);
+          });
         }
 
         // If there's isn't yet a hash for this client id, then get the latest
@@ -242,8 +632,7 @@ function manifestBehavior(event, manifestUrl, clientUrl) {
         // Also, establish the client id to hash mapping for future use.
         return getLatestManifestVersion(manifestUrl).then((latest) => {
           return saveClientIdAndHash(event.clientId, latest.hash)
-            .then(() => appCacheLogic(event, latest.parsed, latest.hash,
-              clientUrl));
+            .then(() => appCacheLogic(event, manifestUrl, latest, clientUrl));
         });
       });
   }
@@ -251,7 +640,7 @@ function manifestBehavior(event, manifestUrl, clientUrl) {
   // If there's no client id, then just use the latest version of the
   // manifest to implement AppCache logic.
   return getLatestManifestVersion(manifestUrl).then(
-    (latest) => appCacheLogic(event, latest.parsed, latest.hash, clientUrl));
+    (latest) => appCacheLogic(event, manifestUrl, latest, clientUrl));
 }
 
 /**
@@ -279,10 +668,10 @@ function noManifestBehavior(event) {
       // the value will be ''.
       const longestForEach = manifests.map((manifestVersions) => {
         // Use the latest version of a given manifest.
-        const parsedManifest =
-          manifestVersions[manifestVersions.length - 1].parsed;
-        return longestMatchingPrefix(
-          Object.keys(parsedManifest.fallback), event.request.url);
+        const latest = manifestVersions[manifestVersions.length - 1];
+        const matcher = getMatcher(latest);
+        return urlMatcher.longestPrefix(matcher.fallback,
+          normalizeUrl(event.request.url));
       });
       logHelper.log('longestForEach:', longestForEach);
 
@@ -310,13 +699,13 @@ function noManifestBehavior(event) {
         logHelper.log('winningManifestVersion:', winningManifestVersion);
         const hash = winningManifestVersion.hash;
         const parsedManifest = winningManifestVersion.parsed;
-        return fetchWithFallback(event.request,
+        return fetchWithFallback(event,
           parsedManifest.fallback[fallbackKey], hash);
       }
 
       // If nothing matches, then just fetch().
       logHelper.log('Nothing at all matches. Using fetch()');
-      return fetch(event.request);
+      return fetchFromNetwork(event);
     });
 }
 
@@ -332,13 +721,6 @@ function appCacheBehaviorForEvent(event) {
   const requestUrl = new URL(event.request.url);
   logHelper.log('Starting appCacheBehaviorForUrl for ' + requestUrl);
 
-  // If this is a request that, as per the AppCache spec, should be handled
-  // via a direct fetch(), then do that and bail early.
-  if (event.request.headers.get('X-Use-Fetch') === 'true') {
-    logHelper.log('Using fetch() because X-Use-Fetch: true');
-    return fetch(event.request);
-  }
-
   // Appcache rules only apply to GETs & same-scheme requests.
   if (event.request.method !== 'GET' ||
       requestUrl.protocol !== location.protocol) {
@@ -349,7 +731,7 @@ function appCacheBehaviorForEvent(event) {
 
   return getClientUrlForEvent(event).then((clientUrl) => {
     logHelper.log('clientUrl is', clientUrl);
-    return idbHelpers[constants.STORES.PATH_TO_MANIFEST].get(clientUrl)
+    return findManifestForPage(clientUrl)
       .then((manifestUrl) => {
         logHelper.log('manifestUrl is', manifestUrl);
 
@@ -368,46 +750,138 @@ function appCacheBehaviorForEvent(event) {
  * 1. Gets a list of all the client ids in IndexedDB's CLIENT_ID_TO_HASH
  * 2. Filters them to remove the active ones
  * 3. Delete the inactive entries from IndexedDB's CLIENT_ID_TO_HASH
- * 4. For each inactive one, return the corresponding hash association.
+ * 4. Forgets the URLs of the inactive clients
  *
  * @private
  * @param {Array.<String>} idsOfActiveClients
- * @return {Promise.<Array.<String>>}
+ * @return {Promise.<T>}
  */
 function cleanupClientIdAndHash(idsOfActiveClients) {
+  Array.from(clientUrls.keys()).forEach((id) => {
+    if (!idsOfActiveClients.includes(id)) {
+      clientUrls.delete(id);
+    }
+  });
+
   return idbHelpers[constants.STORES.CLIENT_ID_TO_HASH].getAllKeys()
     .then((allKnownIds) => {
       return allKnownIds.filter((id) => !idsOfActiveClients.includes(id));
     }).then((idsOfInactiveClients) => {
       return Promise.all(idsOfInactiveClients.map((id) => {
-        const storeName = constants.STORES.CLIENT_ID_TO_HASH;
-        return idbHelpers[storeName].get(id).then((hash) => {
-          return idbHelpers[constants.STORES.CLIENT_ID_TO_HASH].delete(id)
-            .then(() => hash);
-        });
+        return idbHelpers[constants.STORES.CLIENT_ID_TO_HASH].delete(id);
       }));
     });
 }
 
 /**
- * Fulfills with an array of all the hash ids that correspond to outdated
- * manifest versions.
+ * Removes the outdated versions of each manifest from IndexedDB's
+ * MANIFEST_URL_TO_CONTENTS. A version is outdated if it's not the latest, and
+ * if no active client is still using it.
+ *
+ * Manifests that are in the middle of being updated are left alone.
  *
  * @private
- * @return {Promise.<Array.<String>>}
+ * @param {Array.<String>} hashesInUse
+ * @return {Promise.<T>}
  */
-function getHashesOfOlderVersions() {
-  return idbHelpers[constants.STORES.MANIFEST_URL_TO_CONTENTS].getAllValues()
-    .then((manifests) => {
-      return manifests.map((versions) => {
-        // versions.slice(0, -1) will give all the versions other than the
-        // last, or [] if there's aren't any older versions.
-        return versions.slice(0, -1).map((version) => version.hash);
-      }).reduce((prev, curr) => {
-        // Flatten the array-of-arrays into an array.
-        return prev.concat(curr);
-      }, []);
+function cleanupOlderVersions(hashesInUse) {
+  const manifestStore = idbHelpers[constants.STORES.MANIFEST_URL_TO_CONTENTS];
+  return manifestStore.getAllEntries().then((entries) => {
+    return Promise.all(entries.map((entry) => {
+      const manifestUrl = entry.key;
+      const versions = entry.value;
+      if (updatesInProgress.has(manifestUrl)) {
+        return;
+      }
+
+      const versionsToKeep = versions.filter((version, i) => {
+        return i === versions.length - 1 || hashesInUse.includes(version.hash);
+      });
+
+      if (versionsToKeep.length < versions.length) {
+        logHelper.log('Removing older versions of', manifestUrl);
+        return manifestStore.put(manifestUrl, versionsToKeep);
+      }
+    }));
+  });
+}
+
+/**
+ * Removes the entries in IndexedDB's PATH_TO_MANIFEST that point to manifests
+ * which are no longer in MANIFEST_URL_TO_CONTENTS.
+ *
+ * @private
+ * @return {Promise.<T>}
+ */
+function cleanupMasterEntries() {
+  const pathToManifestStore = idbHelpers[constants.STORES.PATH_TO_MANIFEST];
+  return Promise.all([
+    idbHelpers[constants.STORES.MANIFEST_URL_TO_CONTENTS].getAllKeys(),
+    pathToManifestStore.getAllEntries(),
+  ]).then(([manifestUrls, entries]) => {
+    return Promise.all(entries
+      .filter((entry) => !manifestUrls.includes(entry.value))
+      .map((entry) => pathToManifestStore.delete(entry.key)));
+  });
+}
+
+/**
+ * Deletes the caches that were created by this library, but which don't
+ * correspond to any manifest version in IndexedDB's MANIFEST_URL_TO_CONTENTS.
+ * Caches that have any other name are left alone.
+ *
+ * The caches for a version that's still being downloaded aren't orphans,
+ * even though the version isn't in IndexedDB yet. The download could be
+ * happening in another service worker, e.g. one that's precaching while it
+ * installs, so they're recorded in IndexedDB's HASH_TO_DOWNLOAD_START. A
+ * record older than constants.ABANDONED_DOWNLOAD_AGE is ignored, since the
+ * service worker that made it was most likely stopped before it finished.
+ *
+ * @private
+ * @return {Promise.<T>}
+ */
+function cleanupOrphanedCaches() {
+  const downloadStore = idbHelpers[constants.STORES.HASH_TO_DOWNLOAD_START];
+  // The in-memory copy may not have caught up with another service worker's
+  // writes yet.
+  downloadStore.invalidate();
+
+  return Promise.all([
+    idbHelpers[constants.STORES.MANIFEST_URL_TO_CONTENTS].getAllValues(),
+    downloadStore.getAllEntries(),
+    caches.keys(),
+  ]).then(([manifests, downloads, cacheNames]) => {
+    const knownHashes = manifests.map((versions) => {
+      return versions.map((version) => version.hash);
+    }).reduce((prev, curr) => {
+      // Flatten the array-of-arrays into an array.
+      return prev.concat(curr);
+    }, []);
+
+    const hashesInProgress = [];
+    const abandonedHashes = [];
+    downloads.forEach((download) => {
+      if (Date.now() - download.value < constants.ABANDONED_DOWNLOAD_AGE) {
+        hashesInProgress.push(download.key);
+      } else {
+        abandonedHashes.push(download.key);
+      }
+    });
+
+    const idsToDelete = cacheNames.filter((cacheName) => {
+      const match = CACHE_NAME_REGEXP.exec(cacheName);
+      if (!match || hashesInProgress.includes(match[1])) {
+        return false;
+      }
+
+      // Temporary caches are always orphans once their update is over.
+      return match[2] !== undefined || !knownHashes.includes(match[1]);
     });
+
+    logHelper.log('deleting cache ids', idsToDelete);
+    return Promise.all(idsToDelete.map((cacheId) => caches.delete(cacheId))
+      .concat(abandonedHashes.map((hash) => downloadStore.delete(hash))));
+  });
 }
 
 /**
@@ -415,30 +889,116 @@ function getHashesOfOlderVersions() {
  * 1. Gets a list of all client ids associated with this service worker.
  * 2. Calls cleanupClientIdAndHash() to remove the out of date client id
  *    to hash associations.
- * 3. Calls getHashesOfOlderVersions() to get a list of all the hashes
- *    that correspond to out-of-date manifest versions.
- * 4. If there's a match between an out of date hash and a hash that is no
- *    longer being used by a client, then it deletes the corresponding cache.
+ * 3. Calls cleanupOlderVersions() to remove the manifest versions that are
+ *    neither the latest nor used by an active client.
+ * 4. Calls cleanupMasterEntries() to remove the master entries for manifests
+ *    that are no longer known.
+ * 5. Calls cleanupOrphanedCaches() to delete the caches for versions that are
+ *    no longer known.
  *
- * @private
+ * `goog.appCacheBehavior.cleanup` returns a Promise, so that it can be passed
+ * to `event.waitUntil()`. It's also called by `goog.appCacheBehavior.activate`
+ * and, for navigations, by `goog.appCacheBehavior.fetch`.
+ *
+ * @alias goog.appCacheBehavior.cleanup
+ * @return {Promise.<T>}
  */
 function cleanupOldCaches() {
-  self.clients.matchAll().then((clients) => {
+  return self.clients.matchAll({includeUncontrolled: true}).then((clients) => {
     return clients.map((client) => client.id);
   }).then((idsOfActiveClients) => {
     return cleanupClientIdAndHash(idsOfActiveClients);
-  }).then((hashesNotInUse) => {
-    return getHashesOfOlderVersions().then((hashesOfOlderVersions) => {
-      return hashesOfOlderVersions.filter((hashOfOlderVersion) => {
-        return hashesNotInUse.includes(hashOfOlderVersion);
-      });
-    });
-  }).then((idsToDelete) => {
-    logHelper.log('deleting cache ids', idsToDelete);
-    return Promise.all(idsToDelete.map((cacheId) => caches.delete(cacheId)));
+  }).then(() => {
+    return idbHelpers[constants.STORES.CLIENT_ID_TO_HASH].getAllValues();
+  }).then((hashesInUse) => {
+    return cleanupOlderVersions(hashesInUse);
+  }).then(() => {
+    return cleanupMasterEntries();
+  }).then(() => {
+    return cleanupOrphanedCaches();
+  });
+}
+
+/**
+ * `goog.appCacheBehavior.enableNavigationPreload` turns on
+ * [navigation preload](https://developer.mozilla.org/en-US/docs/Web/API/NavigationPreloadManager),
+ * so that navigations which go to the network for `FALLBACK` or `NETWORK`
+ * entries don't have to wait for the service worker to start up and look up
+ * the manifest first. It should be called while activating, e.g. via
+ * `goog.appCacheBehavior.activate(event, {navigationPreload: true})`.
+ *
+ * It does nothing in browsers without navigation preload support.
+ *
+ * @alias goog.appCacheBehavior.enableNavigationPreload
+ * @return {Promise.<T>}
+ */
+function enableNavigationPreload() {
+  if (!self.registration.navigationPreload) {
+    return Promise.resolve();
+  }
+
+  return self.registration.navigationPreload.enable();
+}
+
+/**
+ * `goog.appCacheBehavior.disableNavigationPreload` turns off navigation
+ * preload, if it was turned on by `enableNavigationPreload()`.
+ *
+ * @alias goog.appCacheBehavior.disableNavigationPreload
+ * @return {Promise.<T>}
+ */
+function disableNavigationPreload() {
+  if (!self.registration.navigationPreload) {
+    return Promise.resolve();
+  }
+
+  return self.registration.navigationPreload.disable();
+}
+
+/**
+ * `goog.appCacheBehavior.activate` can be called from your service worker's
+ * `activate` handler. It waits on `goog.appCacheBehavior.cleanup()`, so that
+ * the cleanup isn't cut short, and can optionally claim any open clients once
+ * that's done:
+ *
+ * ```js
+ * self.addEventListener('activate', (event) => {
+ *   goog.appCacheBehavior.activate(event, {claimClients: true});
+ * });
+ * ```
+ *
+ * @alias goog.appCacheBehavior.activate
+ * @param {ExtendableEvent} event
+ * @param {Object} [options]
+ * @param {Boolean} [options.claimClients] Whether to call
+ * `clients.claim()` once the cleanup is complete.
+ * @param {Boolean} [options.navigationPreload] If set, navigation preload is
+ * enabled or disabled to match. It's left as-is otherwise.
+ * @param {Number} [options.periodicUpdates] If set, periodic update checks
+ * are registered with this minimum interval, in milliseconds.
+ * See `goog.appCacheBehavior.registerPeriodicUpdates()`.
+ * @return {Promise.<T>}
+ */
+function activate(event, options) {
+  options = options || {};
+
+  const activatePromise = cleanupOldCaches().then(() => {
+    if (options.periodicUpdates) {
+      return registerPeriodicUpdates(options.periodicUpdates);
+    }
+  }).then(() => {
+    if (options.navigationPreload !== undefined) {
+      return options.navigationPreload ?
+        enableNavigationPreload() : disableNavigationPreload();
+    }
+  }).then(() => {
+    if (options.claimClients) {
+      return self.clients.claim();
+    }
   });
 
-  // TODO: Delete the entry in the array stored in MANIFEST_URL_TO_CONTENT.
+  event.waitUntil(activatePromise);
+  return activatePromise;
 }
 
 /**
@@ -447,9 +1007,9 @@ function cleanupOldCaches() {
  *
  * The goal of the library is to provide equivalent behavior to AppCache
  * whenever possible. The one difference in how this library behaves compared to
- * a native AppCache implementation is that its client-side code will attempt to
- * fetch a fresh AppCache manifest once any cached version is older than 24
- * hours. This works around a
+ * a native AppCache implementation is that a manifest's HTTP caching headers
+ * only let it go unchecked for up to 24 hours (or the `maxManifestStaleness`
+ * passed to `goog.appCacheBehavior.configure()`). This works around a
  * [major pitfall](http://alistapart.com/article/application-cache-is-a-douchebag#section6)
  * in the native AppCache implementation.
  *
@@ -469,6 +1029,11 @@ function cleanupOldCaches() {
  * [`navigator.serviceWorker.register()`](https://developer.mozilla.org/en-US/docs/Web/API/ServiceWorkerContainer/register)
  * for you.)
  *
+ * The client runtime sends the page's manifest URL to the service worker,
+ * which checks the manifest for updates and caches its entries. Importing this
+ * library adds a `message` listener to the service worker global scope for
+ * that purpose.
+ *
  * Once you've added `<script src="path/to/client-runtime.js"></script>` to
  * your HTML pages, you can use `goog.appCacheBehavior.fetch` within your
  * service worker script to get a `Response` suitable for passing to
@@ -514,13 +1079,1744 @@ function fetchBehavior(event) {
     // If this is a navigation, clean up unused caches that correspond to old
     // AppCache manifest versions which are no longer associated with an
     // active client. This will be done asynchronously, and won't block the
-    // response from being returned to the onfetch handler.
+    // response from being returned to the onfetch handler, but the event
+    // is kept alive until it's complete.
     if (event.request.mode === 'navigate') {
-      cleanupOldCaches();
+      event.waitUntil(cleanupOldCaches());
+
+      // Navigations are also an opportunity to check for updates, for users
+      // who don't often open pages that load the client runtime.
+      // The time of the last check is kept in IndexedDB, since the browser
+      // stops idle service workers long before the interval is up.
+      event.waitUntil(getLastBackgroundUpdate().then((lastBackgroundUpdate) => {
+        if (Date.now() - lastBackgroundUpdate >=
+            constants.BACKGROUND_UPDATE_INTERVAL) {
+          return checkForUpdates();
+        }
+      }));
+
+      // A navigation that was served from the cache leaves the preloaded
+      // response unused. Waiting on it keeps the browser from cancelling it.
+      if (event.preloadResponse) {
+        event.waitUntil(event.preloadResponse.catch(() => {}));
+      }
     }
 
     return response;
   });
 }
 
-export {fetchBehavior as fetch};
+/**
+ * Sends an App Cache lifecycle event to a client, which will dispatch it on
+ * its window.applicationCache polyfill.
+ *
+ * @private
+ * @param {Client} client
+ * @param {String} manifestUrl
+ * @param {String} eventType One of constants.EVENT_TYPES.
+ * @param {Object} [details] Extra properties for the event, e.g. for progress.
+ */
+function postEvent(client, manifestUrl, eventType, details) {
+  client.postMessage({
+    type: constants.MESSAGE_TYPES.APPCACHE_EVENT,
+    manifestUrl,
+    eventType,
+    details: details || {},
+  });
+}
+
+/**
+ * Sends an App Cache lifecycle event to every client that's waiting on a
+ * given manifest update.
+ *
+ * @private
+ * @param {Object} update
+ * @param {String} eventType One of constants.EVENT_TYPES.
+ * @param {Object} [details] Extra properties for the event, e.g. for progress.
+ */
+function publishEvent(update, eventType, details) {
+  update.clients.forEach((client) => {
+    postEvent(client, update.manifestUrl, eventType, details);
+  });
+}
+
+/**
+ * Caches the Responses for one or more URLs, using the Cache Storage API.
+ *
+ * Cross-origin URLs are requested in CORS mode. If that fails, e.g. because
+ * the server doesn't send CORS headers, then an opaque response is requested
+ * in no-cors mode instead.
+ *
+ * The downloads go through downloadQueue, which limits how many run at once,
+ * and transient failures are retried by downloadCacheEntry().
+ *
+ * If options.onProgress is set, it's called as each URL is handled, matching
+ * the progress events App Cache fires while downloading a manifest's entries.
+ *
+ * If options.requireAll is true, the returned Promise rejects when a URL can't
+ * be cached, either from the network or from a previously cached copy.
+ *
+ * If options.integrity lists hashes for a URL, then the response's body has
+ * to match one of them. Otherwise, it's treated like a failed download, and
+ * result.integrityError is set to a description of the problem.
+ *
+ * If options.previousCacheName is set, then the URLs are requested
+ * conditionally, using the ETag and Last-Modified headers of the responses in
+ * that cache, so that unchanged entries don't have to be downloaded again.
+ *
+ * It returns a Promise which fulfills with an Object for each URL, with
+ * {url, outcome, status, attempts, size} properties:
+ * - outcome is 'cached' if the URL was downloaded, 'unchanged' if the server
+ *   confirmed that the copy in options.previousCacheName is still current,
+ *   'copied' if a previously cached response was used because the download
+ *   failed, 'skipped' if the response shouldn't be cached (a 404, 410 or
+ *   Cache-Control: no-store), or 'failed'.
+ * - status is the HTTP status of the last response, or 0 if there wasn't one.
+ * - attempts is the number of times the URL was requested.
+ * - size is the number of bytes the cached response is estimated to count
+ *   against the quota, or 0 if it wasn't cached.
+ *
+ * @private
+ * @param {String} cacheName
+ * @param {Array.<String>} urls
+ * @param {Object} [options]
+ * @param {Object} [options.integrity] Maps URLs to arrays of hashes.
+ * @param {Function} [options.onProgress] Called with (loaded, total, result).
+ * @param {String} [options.previousCacheName]
+ * @param {Boolean} [options.requireAll]
+ * @param {AbortSignal} [options.signal] Cancels the downloads when aborted.
+ * @return {Promise.<Array.<Object>>}
+ */
+function addToCache(cacheName, urls, options) {
+  options = options || {};
+  let loaded = 0;
+
+  return caches.open(cacheName).then((cache) => {
+    const fetchRequests = urls.map((url) => {
+      const result = {
+        url,
+        outcome: 'skipped',
+        status: 0,
+        attempts: 0,
+        size: 0,
+      };
+      const putInCache = (response, outcome) => {
+        result.outcome = outcome;
+        result.size = estimateResponseSize(response);
+        return cache.put(url, response);
+      };
+
+      let previousResponse;
+      const previousResponsePromise = options.previousCacheName ?
+        caches.open(options.previousCacheName)
+          .then((previousCache) => previousCache.match(url)) :
+        Promise.resolve();
+
+      const integrity = options.integrity && options.integrity[url];
+
+      return previousResponsePromise.then((response) => {
+        previousResponse = response;
+        return downloadCacheEntry(url, options.signal, result,
+          getConditionalHeaders(previousResponse));
+      }).then((response) => {
+        result.status = response.status;
+        // The entry hasn't changed since the previous version was cached.
+        if (response.status === 304 && previousResponse) {
+          return verifyIntegrity(previousResponse, integrity)
+            .then(() => putInCache(previousResponse, 'unchanged'));
+        }
+
+        const cacheControl = response.headers.get('Cache-Control');
+        if (cacheControl && cacheControl.indexOf('no-store') !== -1) {
+          // Bail early if we're told not to cache this response.
+          return;
+        }
+
+        if (response.ok || response.type === 'opaque') {
+          return verifyIntegrity(response, integrity)
+            .then(() => putInCache(response, 'cached'));
+        }
+
+        // See Item 18.5 of https://html.spec.whatwg.org/multipage/browsers.html#downloading-or-updating-an-application-cache
+        if (response.status !== 404 &&
+            response.status !== 410) {
+          // Assuming this isn't a 200, 404 or 410, we want the .catch() to
+          // trigger, which will cause any previously cached Response for
+          // this URL to be copied over to this new cache.
+          return Promise.reject();
+        }
+      }).catch((error) => {
+        // If the download was cancelled, then don't fall back to the
+        // previous copy, and let the whole update fail.
+        if (options.signal && options.signal.aborted) {
+          throw error;
+        }
+
+        // We're here if one of the following happens:
+        // - The fetch() rejected due to a NetworkError, after any retries.
+        // - The HTTP status code from the fetch() was something other than
+        //   200, 404, and 410 AND the response isn't Cache-Control: no-store
+        // - The response didn't match its integrity annotation.
+        if (error && error.name === 'IntegrityError') {
+          logHelper.warn(error.message);
+          result.integrityError = error.message;
+        }
+
+        return caches.match(url).then((response) => {
+          // Add a copy of the cached response to this new cache, if it
+          // exists.
+          if (response) {
+            return putInCache(response.clone(), 'copied');
+          }
+
+          result.outcome = 'failed';
+          if (options.requireAll) {
+            throw Error(result.integrityError || 'Unable to cache ' + url);
+          }
+        });
+      }).then(() => {
+        if (options.onProgress) {
+          loaded++;
+          options.onProgress(loaded, urls.length, result);
+        }
+
+        return result;
+      });
+    });
+
+    return Promise.all(fetchRequests);
+  });
+}
+
+/**
+ * Gets the Web Crypto API name of the algorithm used by a hash from an
+ * integrity annotation, e.g. 'SHA-256' for 'sha256-...'.
+ *
+ * @private
+ * @param {String} hash
+ * @return {String} The algorithm, or undefined if it isn't supported.
+ */
+function getIntegrityAlgorithm(hash) {
+  const algorithm = hash.slice(0, hash.indexOf('-'));
+  return INTEGRITY_ALGORITHMS.hasOwnProperty(algorithm) ?
+    INTEGRITY_ALGORITHMS[algorithm] : undefined;
+}
+
+/**
+ * Checks that a response's body matches at least one of the given hashes,
+ * which use the same format as the integrity attribute, e.g. 'sha256-...'.
+ * Opaque responses can't be read, so they never match.
+ *
+ * It returns a Promise which rejects with an IntegrityError if the body
+ * doesn't match. It fulfills straight away if there are no hashes.
+ *
+ * @private
+ * @param {Response} response
+ * @param {Array.<String>} [hashes]
+ * @return {Promise.<T>}
+ */
+function verifyIntegrity(response, hashes) {
+  // Like subresource integrity, hashes using an unsupported algorithm are
+  // ignored, rather than treated as mismatches.
+  hashes = (hashes || []).filter((hash) => getIntegrityAlgorithm(hash));
+  if (!hashes.length) {
+    return Promise.resolve();
+  }
+
+  const fail = (reason) => {
+    const error = Error('Integrity check failed for ' + response.url + ': ' +
+      reason);
+    error.name = 'IntegrityError';
+    throw error;
+  };
+
+  if (response.type === 'opaque') {
+    return Promise.resolve().then(() => fail('the response is opaque.'));
+  }
+
+  return response.clone().arrayBuffer().then((body) => {
+    return Promise.all(hashes.map((hash) => {
+      const algorithm = getIntegrityAlgorithm(hash);
+      return crypto.subtle.digest(algorithm, body).then((digest) => {
+        const bytes = Array.from(new Uint8Array(digest));
+        const base64 = btoa(String.fromCharCode.apply(null, bytes));
+        return base64 === hash.slice(hash.indexOf('-') + 1);
+      });
+    }));
+  }).then((matches) => {
+    if (!matches.includes(true)) {
+      fail('the body doesn\'t match ' + hashes.join(' ') + '.');
+    }
+  });
+}
+
+/**
+ * Gets the headers which turn a request for a manifest entry into a
+ * conditional request, based on the validators of a previously cached
+ * response.
+ *
+ * @private
+ * @param {Response} [previousResponse]
+ * @return {Object} The header names and values, if any.
+ */
+function getConditionalHeaders(previousResponse) {
+  const headers = {};
+  if (!previousResponse) {
+    return headers;
+  }
+
+  const etag = previousResponse.headers.get('ETag');
+  if (etag) {
+    headers['If-None-Match'] = etag;
+  }
+
+  const lastModified = previousResponse.headers.get('Last-Modified');
+  if (lastModified) {
+    headers['If-Modified-Since'] = lastModified;
+  }
+
+  return headers;
+}
+
+/**
+ * Determines whether a failed request for a manifest entry is worth retrying,
+ * i.e. whether it's likely to succeed if it's made again shortly.
+ *
+ * @private
+ * @param {Response} [response] Not set if the fetch() rejected.
+ * @return {Boolean}
+ */
+function isTransientFailure(response) {
+  return !response || [408, 429, 500, 502, 503, 504].includes(response.status);
+}
+
+/**
+ * Waits for the given number of milliseconds, or until the signal is aborted,
+ * in which case the returned Promise rejects.
+ *
+ * @private
+ * @param {Number} delay
+ * @param {AbortSignal} [signal]
+ * @return {Promise.<T>}
+ */
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(resolve, delay);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timeoutId);
+        reject(new DOMException('The download was aborted.', 'AbortError'));
+      }, {once: true});
+    }
+  });
+}
+
+/**
+ * Downloads a manifest entry via downloadQueue, including its body, so that
+ * the number of entries downloading at once is limited. Transient failures
+ * are retried up to config.downloads.retries times, with an exponentially
+ * increasing delay between attempts. The queue isn't held up during the
+ * delays.
+ *
+ * It returns a Promise which fulfills with the last response, or rejects with
+ * the last error. result.attempts is updated as requests are made.
+ *
+ * @private
+ * @param {String} url
+ * @param {AbortSignal} [signal]
+ * @param {Object} result
+ * @param {Object} [headers] Passed along to fetchCacheEntry().
+ * @return {Promise.<Response>}
+ */
+function downloadCacheEntry(url, signal, result, headers) {
+  const attempt = (retriesSoFar) => {
+    result.attempts++;
+    const canRetry = () => retriesSoFar < config.downloads.retries &&
+      !(signal && signal.aborted);
+    const retry = () => {
+      const delay = config.downloads.retryDelay * Math.pow(2, retriesSoFar);
+      logHelper.log('Retrying', url, 'in', delay, 'ms');
+      return wait(delay, signal).then(() => attempt(retriesSoFar + 1));
+    };
+
+    // fetch() fulfills once the headers arrive, so the body is read before
+    // the task ends. Otherwise, the limit would only apply to waiting for
+    // the headers, and all of the bodies would download at once.
+    return downloadQueue.add(() => {
+      return fetchCacheEntry(url, signal, headers).then((response) => {
+        return response.clone().arrayBuffer().then(() => response);
+      });
+    }).then((response) => {
+      if (isTransientFailure(response) && canRetry()) {
+        return retry();
+      }
+      return response;
+    }, (error) => {
+      if (isTransientFailure() && canRetry()) {
+        return retry();
+      }
+      throw error;
+    });
+  };
+
+  return attempt(0);
+}
+
+/**
+ * Fetches a URL that's going to be cached as a manifest entry.
+ *
+ * Same-origin URLs are fetched with credentials. Cross-origin URLs are fetched
+ * in CORS mode, with an opaque no-cors response as the fallback if CORS isn't
+ * supported.
+ *
+ * Requests made by the service worker itself aren't passed to its fetch
+ * handler, so this always goes to the network (or the HTTP cache), without
+ * any marker on the request.
+ *
+ * @private
+ * @param {String} url
+ * @param {AbortSignal} [signal] Cancels the fetch when aborted.
+ * @param {Object} [headers] Extra request headers. They're only used for
+ * same-origin URLs, since they would otherwise need a CORS preflight.
+ * @return {Promise.<Response>}
+ */
+function fetchCacheEntry(url, signal, headers) {
+  if (new URL(url).origin === location.origin) {
+    // See Item 18.3 of https://html.spec.whatwg.org/multipage/browsers.html#downloading-or-updating-an-application-cache
+    return fetch(new Request(url, {
+      credentials: 'include',
+      headers: headers || {},
+      redirect: 'manual',
+      signal,
+    }));
+  }
+
+  return fetch(new Request(url, {
+    mode: 'cors',
+    credentials: 'same-origin',
+    redirect: 'manual',
+    signal,
+  })).catch((error) => {
+    if (signal && signal.aborted) {
+      throw error;
+    }
+
+    // CORS failures reject with a TypeError, just like network errors do. In
+    // either case, trying again in no-cors mode is harmless.
+    logHelper.log('CORS request failed; using no-cors for', url);
+    return fetch(new Request(url, {
+      mode: 'no-cors',
+      credentials: 'include',
+      signal,
+    }));
+  });
+}
+
+/**
+ * Estimates how many bytes a response will count against the origin's
+ * storage quota. Browsers pad the size of opaque responses so that it doesn't
+ * reveal anything about them, so those are counted conservatively, using
+ * constants.OPAQUE_RESPONSE_SIZE.
+ *
+ * @private
+ * @param {Response} response
+ * @return {Number}
+ */
+function estimateResponseSize(response) {
+  if (response.type === 'opaque') {
+    return constants.OPAQUE_RESPONSE_SIZE;
+  }
+
+  return Number(response.headers.get('Content-Length')) || 0;
+}
+
+/**
+ * Rejects if storing the given number of additional bytes would exceed the
+ * origin's storage quota, as reported by the Storage API. If the Storage API
+ * isn't supported, it always fulfills.
+ *
+ * @private
+ * @param {Number} size
+ * @return {Promise.<T>}
+ */
+function checkQuota(size) {
+  if (!(self.navigator.storage && self.navigator.storage.estimate)) {
+    return Promise.resolve();
+  }
+
+  return self.navigator.storage.estimate().then((estimate) => {
+    if (estimate.usage + size > estimate.quota) {
+      const error = Error('Caching this manifest version needs an estimated ' +
+        size + ' bytes, which would exceed the storage quota.');
+      error.name = 'QuotaExceededError';
+      throw error;
+    }
+  });
+}
+
+/**
+ * Creates an Error for a manifest check that failed, but which leaves the
+ * previously cached version usable.
+ *
+ * @private
+ * @param {String} reason One of 'offline', 'server-error' or 'invalid'.
+ * @param {String} message
+ * @return {Error} An Error named ManifestCheckError, with a reason property.
+ */
+function createManifestCheckError(reason, message) {
+  const error = Error(message);
+  error.name = 'ManifestCheckError';
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Works out how long a manifest response can be used without revalidating it,
+ * from its Cache-Control max-age and Age headers.
+ *
+ * @private
+ * @param {Response} response
+ * @return {Number} The freshness lifetime in milliseconds, or 0 if the
+ * response has to be revalidated every time.
+ */
+function getFreshnessLifetime(response) {
+  const cacheControl = response.headers.get('Cache-Control') || '';
+  if (/(^|,)\s*(no-cache|no-store)\b/i.test(cacheControl)) {
+    return 0;
+  }
+
+  const maxAgeMatch = /(^|,)\s*max-age\s*=\s*(\d+)/i.exec(cacheControl);
+  if (!maxAgeMatch) {
+    return 0;
+  }
+
+  const age = parseInt(response.headers.get('Age'), 10) || 0;
+  return Math.max(0, Number(maxAgeMatch[2]) - age) * 1000;
+}
+
+/**
+ * Determines whether the last check of a manifest is recent enough that the
+ * manifest doesn't need to be requested again. That's the case while the
+ * response is fresh according to its caching headers, but never for longer
+ * than config.maxManifestStaleness.
+ *
+ * @private
+ * @param {Object} [lastCheck] The manifest's entry in MANIFEST_URL_TO_CHECK.
+ * @return {Boolean}
+ */
+function isManifestFresh(lastCheck) {
+  if (!lastCheck) {
+    return false;
+  }
+
+  const age = Date.now() - lastCheck.checkedAt;
+  return age >= 0 &&
+    age < Math.min(lastCheck.freshnessLifetime, config.maxManifestStaleness);
+}
+
+/**
+ * Fetches a manifest, fulfilling with an Object with {hash, text, contentType,
+ * check} properties, or with {obsolete: true} if the manifest returned a 404
+ * or 410.
+ * check is the entry to record in MANIFEST_URL_TO_CHECK once the manifest
+ * has been handled, with the response's validators and freshness lifetime.
+ *
+ * Like fetchCacheEntry(), this bypasses the service worker's fetch handler.
+ *
+ * If the manifest can't be fetched, the returned Promise rejects with a
+ * ManifestCheckError whose reason is 'offline' or 'server-error'.
+ *
+ * If options.lastCheck is set, it's used to avoid downloading a manifest which
+ * hasn't changed: while it's fresh, no request is made at all, and afterwards
+ * a conditional request is made with its ETag and Last-Modified values. In
+ * both cases, an unchanged manifest fulfills with its hash, but without text.
+ *
+ * @private
+ * @param {String} manifestUrl
+ * @param {Object} [options]
+ * @param {String} [options.cache] A RequestCache mode to use.
+ * @param {Object} [options.lastCheck] The manifest's entry in
+ * MANIFEST_URL_TO_CHECK.
+ * @param {AbortSignal} [options.signal] Cancels the fetch when aborted.
+ * @return {Promise.<Object>}
+ */
+function fetchManifest(manifestUrl, options) {
+  options = options || {};
+  const lastCheck = options.lastCheck;
+
+  if (isManifestFresh(lastCheck)) {
+    logHelper.log('The last check of', manifestUrl, 'is still fresh.');
+    return Promise.resolve({hash: lastCheck.hash, check: lastCheck});
+  }
+
+  const headers = {};
+  if (lastCheck && lastCheck.etag) {
+    headers['If-None-Match'] = lastCheck.etag;
+  }
+  if (lastCheck && lastCheck.lastModified) {
+    headers['If-Modified-Since'] = lastCheck.lastModified;
+  }
+
+  // See Item 4 of https://html.spec.whatwg.org/multipage/browsers.html#downloading-or-updating-an-application-cache
+  // Freshness is tracked in MANIFEST_URL_TO_CHECK, so the HTTP cache is only
+  // used to revalidate. With conditional headers, it's bypassed entirely so
+  // that a 304 reaches this code.
+  // See https://fetch.spec.whatwg.org/#requestcache
+  const manifestRequest = new Request(manifestUrl, {
+    credentials: 'include',
+    cache: options.cache ||
+      (Object.keys(headers).length ? 'no-store' : 'no-cache'),
+    headers,
+    signal: options.signal,
+  });
+
+  return fetch(manifestRequest).catch((error) => {
+    if (options.signal && options.signal.aborted) {
+      throw error;
+    }
+
+    throw createManifestCheckError('offline', 'Unable to fetch the manifest ' +
+      manifestUrl + ': ' + error.message);
+  }).then((manifestResponse) => {
+    // See Item 5 of https://html.spec.whatwg.org/multipage/browsers.html#downloading-or-updating-an-application-cache
+    if (manifestResponse.status === 404 ||
+        manifestResponse.status === 410) {
+      return {obsolete: true};
+    }
+
+    // See Item 6 of https://html.spec.whatwg.org/multipage/browsers.html#downloading-or-updating-an-application-cache
+    if (!manifestResponse.ok &&
+        !(manifestResponse.status === 304 && lastCheck)) {
+      throw createManifestCheckError('server-error', 'The manifest ' +
+        manifestUrl + ' returned a ' + manifestResponse.status + ' status.');
+    }
+
+    const check = {
+      checkedAt: Date.now(),
+      etag: manifestResponse.headers.get('ETag'),
+      lastModified: manifestResponse.headers.get('Last-Modified'),
+      freshnessLifetime: getFreshnessLifetime(manifestResponse),
+    };
+
+    if (manifestResponse.status === 304 && lastCheck) {
+      // A 304 doesn't have to repeat the validators.
+      check.hash = lastCheck.hash;
+      check.etag = check.etag || lastCheck.etag;
+      check.lastModified = check.lastModified || lastCheck.lastModified;
+      return {hash: lastCheck.hash, check};
+    }
+
+    return manifestResponse.text().then((text) => {
+      // Hash a combination of URL and text so that two identical manifests
+      // served from a different location are treated distinctly.
+      check.hash = md5(manifestUrl + text);
+      return {
+        hash: check.hash,
+        text,
+        contentType: manifestResponse.headers.get('Content-Type'),
+        check,
+      };
+    });
+  });
+}
+
+/**
+ * Calls checkManifestVersion(), and if the manifest changed while its entries
+ * were being downloaded, tries again after each of the delays in
+ * constants.MANIFEST_RECHECK_DELAYS. If it still doesn't match after that,
+ * the returned Promise rejects.
+ *
+ * It returns a Promise which fulfills with the hash for the current manifest,
+ * or null if the manifest is obsolete.
+ *
+ * @private
+ * @param {Object} update
+ * @return {Promise.<String>}
+ */
+function checkManifestVersionWithRetries(update) {
+  const delays = constants.MANIFEST_RECHECK_DELAYS;
+  let attempt = 0;
+
+  const attemptCheck = () => {
+    return checkManifestVersion(update).catch((error) => {
+      if (error.name !== 'ManifestChangedError') {
+        throw error;
+      }
+
+      if (attempt >= delays.length) {
+        throw Error('The manifest kept changing while its entries were ' +
+          'being downloaded, after ' + (attempt + 1) + ' attempts.');
+      }
+
+      const delay = delays[attempt];
+      attempt++;
+      return wait(delay, update.abortController.signal).then(attemptCheck);
+    });
+  };
+
+  return attemptCheck();
+}
+
+/**
+ * Compares the copy of a manifest obtained from fetch() with the copy stored
+ * in IndexedDB. If they differ, it kicks off the manifest update process.
+ * If the manifest is gone, it's treated as obsolete and removed instead.
+ *
+ * It returns a Promise which fulfills with the hash for the current manifest,
+ * or null if the manifest is obsolete.
+ *
+ * @private
+ * @param {Object} update
+ * @return {Promise.<String>}
+ */
+function checkManifestVersion(update) {
+  const manifestUrl = update.manifestUrl;
+
+  const signal = update.abortController.signal;
+  const checkStore = idbHelpers[constants.STORES.MANIFEST_URL_TO_CHECK];
+
+  publishEvent(update, 'checking');
+
+  return Promise.all([
+    checkStore.get(manifestUrl)
+      .then((lastCheck) => fetchManifest(manifestUrl, {lastCheck, signal})),
+    idbHelpers[constants.STORES.MANIFEST_URL_TO_CONTENTS].get(manifestUrl),
+  ]).then(([manifest, knownManifests]) => {
+    // manifest.hash is the MD5 hash of the manifest returned by fetch().
+    // manifest.text is the manifest text returned by fetch(), unless it's
+    // unchanged since the last check.
+    // manifest.obsolete is true if the manifest returned a 404 or 410.
+    // knownManifests is array of Objects with {hash, parsed} properties.
+    knownManifests = knownManifests || [];
+
+    if (manifest.obsolete) {
+      return removeObsoleteManifest(manifestUrl, knownManifests)
+        .then(() => null);
+    }
+
+    const knownManifestVersion = knownManifests.some((entry) => {
+      return entry.hash === manifest.hash;
+    });
+
+    if (knownManifestVersion) {
+      // If we already know about this manifest version, return the hash.
+      return checkStore.put(manifestUrl, manifest.check)
+        .then(() => manifest.hash);
+    }
+
+    // The last check was recorded, but its version wasn't, so the text is
+    // needed after all.
+    const manifestPromise = manifest.text === undefined ?
+      fetchManifest(manifestUrl, {cache: 'reload', signal}) :
+      Promise.resolve(manifest);
+
+    // If the hash of the manifest retrieved from the network isn't already
+    // in the list of known manifest hashes, then trigger an update.
+    return manifestPromise.then((fullManifest) => {
+      const validated = parseAndValidateManifest(manifestUrl, fullManifest);
+      validated.warnings.forEach((message) => {
+        logHelper.warn(message);
+        publishEvent(update, 'warning', {message});
+      });
+
+      return performManifestUpdate(update, fullManifest.hash,
+        validated.parsed, knownManifests).then((hash) => {
+          return checkStore.put(manifestUrl, fullManifest.check)
+            .then(() => hash);
+        }, (error) => {
+          // The manifest returned a 404 or 410 when it was fetched again
+          // after the download.
+          if (error.name === 'ManifestObsoleteError') {
+            return removeObsoleteManifest(manifestUrl, knownManifests)
+              .then(() => null);
+          }
+          throw error;
+        });
+    });
+  });
+}
+
+/**
+ * Removes everything associated with an obsolete manifest: all of its versions
+ * in the MANIFEST_URL_TO_CONTENTS store, its last check in the
+ * MANIFEST_URL_TO_CHECK store, the master entries that point to it in the
+ * PATH_TO_MANIFEST store, and the caches for each of its versions.
+ *
+ * @private
+ * @param {String} manifestUrl
+ * @param {Array.<Object>} knownManifests
+ * @return {Promise.<T>}
+ */
+function removeObsoleteManifest(manifestUrl, knownManifests) {
+  logHelper.log('Removing obsolete manifest', manifestUrl);
+  const pathToManifestStore = idbHelpers[constants.STORES.PATH_TO_MANIFEST];
+
+  return Promise.all([
+    idbHelpers[constants.STORES.MANIFEST_URL_TO_CONTENTS].delete(manifestUrl),
+    idbHelpers[constants.STORES.MANIFEST_URL_TO_CHECK].delete(manifestUrl),
+    pathToManifestStore.getAllEntries().then((entries) => {
+      return Promise.all(entries
+        .filter((entry) => entry.value === manifestUrl)
+        .map((entry) => pathToManifestStore.delete(entry.key)));
+    }),
+  ]).then(() => {
+    return Promise.all(
+      knownManifests.map((entry) => caches.delete(entry.hash)));
+  });
+}
+
+/**
+ * Parses a manifest's text into the format described at
+ * https://www.npmjs.com/package/parse-appcache-manifest with absolute URLs,
+ * and checks it against the rules in
+ * https://html.spec.whatwg.org/multipage/browsers.html#parsing-cache-manifests
+ *
+ * A manifest without the CACHE MANIFEST signature, or which can't be parsed,
+ * is invalid, and a ManifestCheckError is thrown with 'invalid' as its reason.
+ * Other problems are returned as warnings: a content type other than
+ * text/cache-manifest, integrity hashes using an unsupported algorithm, which
+ * are ignored, and FALLBACK entries whose namespace or target isn't
+ * same-origin with the manifest, which are dropped.
+ *
+ * @private
+ * @param {String} manifestUrl
+ * @param {Object} manifest The result of fetchManifest().
+ * @return {Object} An Object with {parsed, warnings} properties.
+ */
+function parseAndValidateManifest(manifestUrl, manifest) {
+  const warnings = [];
+  // A leading byte order mark is allowed before the signature.
+  const text = manifest.text.replace(/^\uFEFF/, '');
+
+  // See https://html.spec.whatwg.org/multipage/browsers.html#parsing-cache-manifests
+  if (!/^CACHE MANIFEST([ \t\r\n]|$)/.test(text)) {
+    throw createManifestCheckError('invalid', 'The manifest ' + manifestUrl +
+      ' doesn\'t start with the CACHE MANIFEST signature.');
+  }
+
+  const mimeType = (manifest.contentType || '').split(';')[0].trim()
+    .toLowerCase();
+  if (mimeType !== 'text/cache-manifest') {
+    warnings.push('The manifest ' + manifestUrl + ' is served as ' +
+      (mimeType || 'an unknown type') + ', rather than text/cache-manifest.');
+  }
+
+  let parsedManifest;
+  let rawManifest;
+  try {
+    rawManifest = parseAppCacheManifest(text);
+    parsedManifest = makeManifestUrlsAbsolute(manifestUrl, rawManifest);
+  } catch (error) {
+    throw createManifestCheckError('invalid', 'The manifest ' + manifestUrl +
+      ' can\'t be parsed: ' + error.message);
+  }
+  parsedManifest.settings = parseManifestSettings(rawManifest.settings);
+  parsedManifest.integrity = parseManifestIntegrity(manifestUrl,
+    rawManifest.tokens);
+  Object.keys(parsedManifest.integrity).forEach((url) => {
+    parsedManifest.integrity[url].forEach((hash) => {
+      if (!getIntegrityAlgorithm(hash)) {
+        warnings.push('Ignoring the integrity hash ' + hash + ' for ' + url +
+          ', since its algorithm isn\'t supported.');
+      }
+    });
+  });
+
+  // See https://html.spec.whatwg.org/multipage/browsers.html#parsing-cache-manifests
+  const manifestOrigin = new URL(manifestUrl).origin;
+  Object.keys(parsedManifest.fallback).forEach((namespace) => {
+    const target = parsedManifest.fallback[namespace];
+    if (new URL(namespace).origin !== manifestOrigin ||
+        new URL(target).origin !== manifestOrigin) {
+      warnings.push('Ignoring the FALLBACK entry ' + namespace + ' ' + target +
+        ', since it isn\'t same-origin with the manifest.');
+      delete parsedManifest.fallback[namespace];
+    }
+  });
+
+  return {parsed: parsedManifest, warnings};
+}
+
+/**
+ * Caches the relevant URLs from a manifest version which was returned by
+ * parseAndValidateManifest(), using addToCache().
+ *
+ * The URLs are downloaded into a temporary cache first. Only once all the
+ * CACHE and FALLBACK entries have been handled are they copied into the cache
+ * for the new version, and the parsed manifest stored in IndexedDB. If any of
+ * them fail, the temporary cache is discarded and the previous version is
+ * left as-is.
+ *
+ * It returns a Promise which fulfills with the hash for the current manifest.
+ * It rejects with a ManifestChangedError if the manifest changed during the
+ * download, or with a ManifestObsoleteError if it's gone.
+ *
+ * @private
+ * @param {Object} update
+ * @param {String} hash
+ * @param {Object} parsedManifest
+ * @param {Array.<Object>} knownManifests
+ * @return {Promise.<String>}
+ */
+function performManifestUpdate(update, hash, parsedManifest, knownManifests) {
+  const manifestUrl = update.manifestUrl;
+  const signal = update.abortController.signal;
+  const downloadStore = idbHelpers[constants.STORES.HASH_TO_DOWNLOAD_START];
+  publishEvent(update, 'downloading');
+  const stagingCacheName = hash + constants.STAGING_CACHE_SUFFIX;
+  // The estimated size of all the cached responses, and the entries that the
+  // versioned cache has to end up with.
+  let size = 0;
+  let requiredUrls = [];
+
+  const fallbackUrls = Object.keys(parsedManifest.fallback)
+    .map((key) => parsedManifest.fallback[key]);
+
+  const entryUrls = parsedManifest.cache.concat(fallbackUrls);
+
+  // All the master entries, i.e. those pages that were associated with an older
+  // version of the manifest at the same URL, should be copied over to the new
+  // cache as well. Unlike the other entries, failing to cache one of them
+  // doesn't cause the whole update to fail.
+  //
+  // Both the staging cache and the versioned cache exist before the version
+  // is recorded in IndexedDB, so the download is recorded first, to protect
+  // them from being cleaned up by this or any other service worker.
+  return downloadStore.put(hash, Date.now())
+    .then(() => idbHelpers[constants.STORES.PATH_TO_MANIFEST].getAllEntries())
+    .then((entries) => {
+      const masterEntryUrls = entries
+        .filter((entry) => entry.value === manifestUrl)
+        .map((entry) => entry.key);
+
+      // Entries that haven't changed since the latest version are copied from
+      // its cache, rather than being downloaded again.
+      const previousCacheName = knownManifests.length ?
+        knownManifests[knownManifests.length - 1].hash : undefined;
+
+      // Start from an empty cache, in case an earlier attempt was interrupted.
+      return caches.delete(stagingCacheName).then(() => {
+        return Promise.all([
+          addToCache(stagingCacheName, entryUrls, {
+            integrity: parsedManifest.integrity,
+            onProgress: (loaded, total, result) => {
+              publishEvent(update, 'progress', {
+                loaded,
+                total,
+                url: result.url,
+                outcome: result.outcome,
+              });
+            },
+            previousCacheName,
+            requireAll: true,
+            signal,
+          }),
+          addToCache(stagingCacheName, masterEntryUrls, {
+            previousCacheName,
+            signal,
+          }),
+        ]);
+      });
+    }).then(([entryResults, masterEntryResults]) => {
+      const results = entryResults.concat(masterEntryResults);
+      results.filter((result) => result.outcome === 'copied' ||
+          result.outcome === 'failed').forEach((result) => {
+        logHelper.warn('Unable to download', result.url, 'after',
+          result.attempts, 'attempt(s), so it was', result.outcome);
+      });
+
+      // The update carries on with the previous copies of entries that
+      // failed their integrity check, but the page is told about them.
+      results.filter((result) => result.integrityError).forEach((result) => {
+        publishEvent(update, 'error', {
+          message: result.integrityError,
+          url: result.url,
+          fatal: false,
+        });
+      });
+
+      requiredUrls = entryResults
+        .filter((result) => result.outcome !== 'skipped')
+        .map((result) => result.url);
+      size = results.reduce((total, result) => total + result.size, 0);
+
+      // The staging cache already counts against the quota, so this makes
+      // sure there's room for a second copy in the versioned cache.
+      return checkQuota(size);
+    }).then(() => {
+      // See Item 20 of https://html.spec.whatwg.org/multipage/browsers.html#downloading-or-updating-an-application-cache
+      // If the manifest changed while its entries were being downloaded, then
+      // they might be a mix of versions, so discard them.
+      return fetchManifest(manifestUrl, {cache: 'no-cache', signal});
+    }).then((manifest) => {
+      if (manifest.obsolete) {
+        const error = Error('The manifest was removed while its entries ' +
+          'were being downloaded.');
+        error.name = 'ManifestObsoleteError';
+        throw error;
+      }
+
+      if (manifest.hash !== hash) {
+        const error = Error('The manifest changed while its entries were ' +
+          'being downloaded.');
+        error.name = 'ManifestChangedError';
+        throw error;
+      }
+
+      return copyCache(stagingCacheName, hash);
+    }).then(() => {
+      return checkCacheHasUrls(hash, requiredUrls);
+    }).then(() => {
+      // knownManifests may be the in-memory copy of what's in IndexedDB, so
+      // it's not modified in place.
+      return idbHelpers[constants.STORES.MANIFEST_URL_TO_CONTENTS].put(
+        manifestUrl, knownManifests.concat({
+          hash,
+          parsed: parsedManifest,
+          matcher: urlMatcher.compile(parsedManifest),
+          size,
+        }));
+    }).catch((error) => {
+      // Discard everything that was downloaded for this version. This includes
+      // the cache named after the hash, in case the failure happened while
+      // copying into it or recording the version.
+      return Promise.all([
+        caches.delete(stagingCacheName),
+        caches.delete(hash),
+      ]).then(() => downloadStore.delete(hash)).then(() => {
+        throw error;
+      });
+    }).then(() => caches.delete(stagingCacheName))
+    .then(() => downloadStore.delete(hash))
+    .then(() => hash);
+}
+
+/**
+ * Checks that a cache holds a response for each of the given URLs. Another
+ * service worker can delete a cache while it's being filled, and opening it
+ * by name afterwards just creates an empty one, so this makes sure that a
+ * version isn't recorded without its entries.
+ *
+ * It returns a Promise which rejects if any of the URLs are missing.
+ *
+ * @private
+ * @param {String} cacheName
+ * @param {Array.<String>} urls
+ * @return {Promise.<T>}
+ */
+function checkCacheHasUrls(cacheName, urls) {
+  return caches.open(cacheName).then((cache) => {
+    return Promise.all(urls.map((url) => cache.match(url)));
+  }).then((responses) => {
+    const missingUrls = urls.filter((url, i) => !responses[i]);
+    if (missingUrls.length) {
+      throw Error('The cache ' + cacheName + ' is missing ' +
+        missingUrls.join(', ') + '.');
+    }
+  });
+}
+
+/**
+ * Copies all of the entries in one cache into another.
+ *
+ * @private
+ * @param {String} sourceCacheName
+ * @param {String} destinationCacheName
+ * @return {Promise.<T>}
+ */
+function copyCache(sourceCacheName, destinationCacheName) {
+  return Promise.all([
+    caches.open(sourceCacheName),
+    caches.open(destinationCacheName),
+  ]).then(([source, destination]) => {
+    return source.keys().then((requests) => {
+      return Promise.all(requests.map((request) => {
+        return source.match(request)
+          .then((response) => destination.put(request, response));
+      }));
+    });
+  });
+}
+
+/**
+ * Updates IndexedDB to indicate that the page's URL is associated with the
+ * AppCache manifest at manifestUrl.
+ * It also adds the page to the cache versioned with hash, matching the master
+ * entry cache-as-you-go behavior you get with AppCache.
+ *
+ * @private
+ * @param {String} manifestUrl
+ * @param {String} pageUrl
+ * @param {String} hash
+ * @return {Promise.<T>}
+ */
+function updateManifestAssociationForPage(manifestUrl, pageUrl, hash) {
+  // Pages that only differ by a fragment or by ignored query parameters share
+  // a master entry.
+  const lookupUrl = getLookupUrl(pageUrl, manifestUrl);
+  return Promise.all([
+    idbHelpers[constants.STORES.PATH_TO_MANIFEST].put(lookupUrl, manifestUrl),
+    // Use the manifest hash as the name of the Cache to open.
+    addToCache(hash, [lookupUrl]),
+  ]);
+}
+
+/**
+ * Converts all the URLs in a given manifest's CACHE, NETWORK, and FALLBACK
+ * sections to be absolute URLs, without fragments.
+ *
+ * @private
+ * @param {String} baseUrl
+ * @param {Object} originalManifest
+ * @return {Object}
+ */
+function makeManifestUrlsAbsolute(baseUrl, originalManifest) {
+  const manifest = {};
+
+  manifest.cache = originalManifest.cache.map((relativeUrl) => {
+    return normalizeUrl(relativeUrl, baseUrl);
+  });
+
+  manifest.network = originalManifest.network.map((relativeUrl) => {
+    if (relativeUrl === '*') {
+      return relativeUrl;
+    }
+
+    return normalizeUrl(relativeUrl, baseUrl);
+  });
+
+  manifest.fallback = {};
+  Object.keys(originalManifest.fallback).forEach((key) => {
+    manifest.fallback[normalizeUrl(key, baseUrl)] =
+      normalizeUrl(originalManifest.fallback[key], baseUrl);
+  });
+
+  return manifest;
+}
+
+/**
+ * Converts the lines in a manifest's SETTINGS section into an Object with a
+ * cacheMode property, which is either 'fast' (the default) or 'prefer-online'.
+ *
+ * See https://html.spec.whatwg.org/multipage/browsers.html#parsing-cache-manifests
+ *
+ * @private
+ * @param {Array.<String>} settingsLines
+ * @return {Object}
+ */
+function parseManifestSettings(settingsLines) {
+  const settings = {cacheMode: 'fast'};
+
+  (settingsLines || []).forEach((line) => {
+    // As per the spec, the last recognized setting wins.
+    const setting = line.trim().split(/\s+/)[0];
+    if (setting === 'prefer-online' || setting === 'fast') {
+      settings.cacheMode = setting;
+    }
+  });
+
+  return settings;
+}
+
+/**
+ * Collects the integrity annotations from a manifest's comments. They're not
+ * part of the App Cache format, but since they're comments, browsers with a
+ * native App Cache ignore them:
+ *
+ * ```
+ * # integrity sha256-47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU= app.js
+ * ```
+ *
+ * Like the integrity attribute of a script, several hashes can be listed, in
+ * which case a response matching any of them is accepted.
+ *
+ * @private
+ * @param {String} baseUrl
+ * @param {Array.<Object>} tokens The tokens from parseAppCacheManifest().
+ * @return {Object} Maps absolute URLs to arrays of hashes.
+ */
+function parseManifestIntegrity(baseUrl, tokens) {
+  const integrity = {};
+
+  tokens.filter((token) => token.type === 'comment').forEach((token) => {
+    const parts = token.value.trim().split(/\s+/);
+    if (parts[0] !== 'integrity' || parts.length < 3) {
+      return;
+    }
+
+    // Keyed the same way as the manifest's CACHE entries.
+    const url = normalizeUrl(parts[parts.length - 1], baseUrl);
+    integrity[url] = parts.slice(1, -1);
+  });
+
+  return integrity;
+}
+
+/**
+ * Starts checking a manifest for an update, and downloading its entries if
+ * there is one. If an update for the same manifest is already in progress,
+ * the client is added to it, unless it's already there, instead of starting
+ * another.
+ *
+ * It returns a Promise which fulfills with the hash for the current manifest,
+ * or null if the manifest is obsolete.
+ *
+ * @private
+ * @param {String} manifestUrl
+ * @param {Client} [client] The client to send lifecycle events to.
+ * @return {Promise.<String>}
+ */
+function startUpdate(manifestUrl, client) {
+  let update = updatesInProgress.get(manifestUrl);
+  if (update) {
+    // A client that asks again, e.g. by calling update(), is already being
+    // sent this update's events.
+    if (client && !update.clients.some((other) => other.id === client.id)) {
+      update.clients.push(client);
+      postEvent(client, manifestUrl, 'checking');
+    }
+    return update.promise;
+  }
+
+  update = {
+    manifestUrl,
+    abortController: new AbortController(),
+    clients: client ? [client] : [],
+  };
+  updatesInProgress.set(manifestUrl, update);
+
+  update.promise = checkManifestVersionWithRetries(update).then((hash) => {
+    updatesInProgress.delete(manifestUrl);
+    return hash;
+  }, (error) => {
+    updatesInProgress.delete(manifestUrl);
+    throw error;
+  });
+
+  return update.promise;
+}
+
+/**
+ * Fulfills with the hash of the manifest version that a client is using. If
+ * the client isn't associated with a version yet, then it's associated with
+ * the latest one, since that's what its requests will be served with.
+ *
+ * @private
+ * @param {String} clientId
+ * @param {String} manifestUrl
+ * @return {Promise.<String>} The hash, or null if there's no version yet.
+ */
+function getHashForClient(clientId, manifestUrl) {
+  return idbHelpers[constants.STORES.CLIENT_ID_TO_HASH].get(clientId)
+    .then((hash) => {
+      if (hash) {
+        return hash;
+      }
+
+      return getLatestManifestVersion(manifestUrl).then((latest) => {
+        if (latest) {
+          return saveClientIdAndHash(clientId, latest.hash)
+            .then(() => latest.hash);
+        }
+
+        return null;
+      });
+    });
+}
+
+/**
+ * Handles a page's request to check its manifest for an update, and to record
+ * the page as a master entry. Once that's done, the page is sent the event
+ * which describes the outcome relative to the version it's using.
+ *
+ * If the update fails, the page is still recorded as a master entry of the
+ * latest version, if there is one, and gets an error event which is only
+ * fatal if there isn't. When the manifest can't be fetched or parsed, the
+ * event's reason is 'offline', 'server-error' or 'invalid'. A background sync
+ * is requested when it's 'offline'.
+ *
+ * @private
+ * @param {Client} client
+ * @param {String} manifestUrl
+ * @param {String} pageUrl
+ * @return {Promise.<T>}
+ */
+function updateBehavior(client, manifestUrl, pageUrl) {
+  // See https://html.spec.whatwg.org/multipage/browsers.html#concept-appcache-init
+  if (new URL(pageUrl).origin !== new URL(manifestUrl).origin) {
+    postEvent(client, manifestUrl, 'error', {
+      message: 'The manifest ' + manifestUrl + ' isn\'t same-origin with ' +
+        'the page ' + pageUrl + '.',
+      reason: 'invalid',
+    });
+    return Promise.resolve();
+  }
+
+  return getHashForClient(client.id, manifestUrl).then((clientHash) => {
+    return startUpdate(manifestUrl, client).then((hash) => {
+      if (!hash) {
+        postEvent(client, manifestUrl, 'obsolete');
+        return;
+      }
+
+      let eventType = 'updateready';
+      if (hash === clientHash) {
+        eventType = 'noupdate';
+      } else if (!clientHash) {
+        eventType = 'cached';
+      }
+
+      return Promise.all([
+        clientHash ? null : saveClientIdAndHash(client.id, hash),
+        updateManifestAssociationForPage(manifestUrl, pageUrl, hash),
+      ]).then(() => postEvent(client, manifestUrl, eventType));
+    });
+  }).catch((error) => {
+    logHelper.error({message: 'Manifest update failed.', error});
+
+    // Whether the manifest couldn't be checked, e.g. because the page was
+    // loaded offline, or the new version's entries couldn't be downloaded,
+    // the page can carry on with the version it's using.
+    return getHashForClient(client.id, manifestUrl).then((hash) => {
+      if (hash) {
+        return updateManifestAssociationForPage(manifestUrl, pageUrl, hash)
+          .then(() => hash);
+      }
+    }).then((hash) => {
+      postEvent(client, manifestUrl, 'error', {
+        message: String(error),
+        reason: error.reason,
+        fatal: !hash,
+      });
+
+      // Check again once the network is back, even if the page isn't open.
+      if (error.reason === 'offline') {
+        return requestBackgroundSync();
+      }
+    });
+  });
+}
+
+/**
+ * Handles a page's `applicationCache.swapCache()`, by associating the page's
+ * client id with the latest manifest version, so that its subsequent requests
+ * are served using that version.
+ *
+ * @private
+ * @param {Client} client
+ * @param {String} manifestUrl
+ * @return {Promise.<T>}
+ */
+function swapCacheBehavior(client, manifestUrl) {
+  return getLatestManifestVersion(manifestUrl).then((latest) => {
+    if (latest) {
+      logHelper.log('Swapping client', client.id, 'to version', latest.hash);
+      return saveClientIdAndHash(client.id, latest.hash);
+    }
+  });
+}
+
+/**
+ * Handles a page's `applicationCache.abort()`, by cancelling any update of
+ * its manifest that's in progress.
+ *
+ * @private
+ * @param {String} manifestUrl
+ */
+function abortBehavior(manifestUrl) {
+  const update = updatesInProgress.get(manifestUrl);
+  if (update) {
+    update.abortController.abort();
+  }
+}
+
+/**
+ * Lets the clients that are using an older version of a manifest know that a
+ * newer one was downloaded in the background, by sending them `updateready`.
+ *
+ * @private
+ * @param {String} manifestUrl
+ * @param {String} hash The hash of the newer version.
+ * @return {Promise.<T>}
+ */
+function notifyClientsOfUpdate(manifestUrl, hash) {
+  return Promise.all([
+    idbHelpers[constants.STORES.MANIFEST_URL_TO_CONTENTS].get(manifestUrl),
+    idbHelpers[constants.STORES.CLIENT_ID_TO_HASH].getAllEntries(),
+  ]).then(([versions, clientEntries]) => {
+    const olderHashes = (versions || [])
+      .map((version) => version.hash)
+      .filter((versionHash) => versionHash !== hash);
+
+    return Promise.all(clientEntries
+      .filter((entry) => olderHashes.includes(entry.value))
+      .map((entry) => self.clients.get(entry.key).then((client) => {
+        if (client) {
+          postEvent(client, manifestUrl, 'updateready');
+        }
+      })));
+  });
+}
+
+/**
+ * Checks a manifest for an update without a page asking for it. If a new
+ * version is downloaded, the pages using an older one are told about it.
+ *
+ * @private
+ * @param {String} manifestUrl
+ * @return {Promise.<T>}
+ */
+function backgroundUpdate(manifestUrl) {
+  return getLatestManifestVersion(manifestUrl).then((previous) => {
+    return startUpdate(manifestUrl).then((hash) => {
+      if (hash && previous && hash !== previous.hash) {
+        return notifyClientsOfUpdate(manifestUrl, hash);
+      }
+    });
+  });
+}
+
+/**
+ * Gets the time at which the service worker last checked all the manifests
+ * for updates on its own, or 0 if it never has.
+ *
+ * @private
+ * @return {Promise.<Number>} A timestamp, in milliseconds
+ */
+function getLastBackgroundUpdate() {
+  return idbHelpers[constants.STORES.STATE_KEY_TO_VALUE]
+    .get(constants.STATE_KEYS.LAST_BACKGROUND_UPDATE)
+    .then((timestamp) => timestamp || 0);
+}
+
+/**
+ * Records that the service worker is checking all the manifests for updates
+ * on its own, so that navigations don't start another check too soon.
+ *
+ * @private
+ * @return {Promise.<T>}
+ */
+function setLastBackgroundUpdate() {
+  return idbHelpers[constants.STORES.STATE_KEY_TO_VALUE]
+    .put(constants.STATE_KEYS.LAST_BACKGROUND_UPDATE, Date.now());
+}
+
+/**
+ * Asks for a one-off background sync, so that a check which failed while
+ * offline is tried again once the connection is back. It does nothing in
+ * browsers without background sync support.
+ *
+ * @private
+ * @return {Promise.<T>}
+ */
+function requestBackgroundSync() {
+  if (!self.registration.sync) {
+    return Promise.resolve();
+  }
+
+  return self.registration.sync.register(constants.SYNC_TAG)
+    .catch((error) => {
+      logHelper.warn('Unable to register for background sync:', error);
+    });
+}
+
+/**
+ * `goog.appCacheBehavior.checkForUpdates` checks every known manifest for an
+ * update, in the same way that opening a page which uses it would. The
+ * library calls it on its own in response to `periodicsync` events, and at
+ * most once an hour while handling navigations, so that users who rarely open
+ * a page with the client runtime still get updates.
+ *
+ * It returns a Promise which fulfills with the errors from any checks that
+ * failed. If a check failed because the network was unavailable, then a
+ * background sync is requested, so that it's tried again once the network is
+ * back.
+ *
+ * @alias goog.appCacheBehavior.checkForUpdates
+ * @return {Promise.<Array.<Error>>}
+ */
+function checkForUpdates() {
+  return setLastBackgroundUpdate()
+    .then(() => idbHelpers[constants.STORES.MANIFEST_URL_TO_CONTENTS]
+      .getAllKeys())
+    .then((manifestUrls) => {
+      return Promise.all(manifestUrls.map((manifestUrl) => {
+        return backgroundUpdate(manifestUrl).then(() => null, (error) => {
+          logHelper.warn('Background update of', manifestUrl, 'failed:', error);
+          return error;
+        });
+      }));
+    }).then((results) => {
+      const errors = results.filter((error) => error);
+
+      if (errors.some((error) => error.reason === 'offline')) {
+        return requestBackgroundSync().then(() => errors);
+      }
+      return errors;
+    });
+}
+
+/**
+ * `goog.appCacheBehavior.registerPeriodicUpdates` asks the browser to wake up
+ * the service worker regularly, using
+ * [periodic background sync](https://developer.mozilla.org/en-US/docs/Web/API/Web_Periodic_Background_Synchronization_API),
+ * to call `goog.appCacheBehavior.checkForUpdates()`. The browser decides how
+ * often that actually happens, and may not allow it at all, e.g. for sites
+ * that aren't installed. It can be called while activating, via
+ * `goog.appCacheBehavior.activate(event, {periodicUpdates: interval})`.
+ *
+ * It does nothing in browsers without periodic background sync support.
+ *
+ * @alias goog.appCacheBehavior.registerPeriodicUpdates
+ * @param {Number} minInterval The minimum time between checks, in
+ * milliseconds.
+ * @return {Promise.<T>}
+ */
+function registerPeriodicUpdates(minInterval) {
+  if (!self.registration.periodicSync) {
+    return Promise.resolve();
+  }
+
+  return self.registration.periodicSync.register(constants.SYNC_TAG,
+    {minInterval}).catch((error) => {
+      logHelper.warn('Unable to register for periodic background sync:',
+        error);
+    });
+}
+
+/**
+ * Handles `periodicsync` and `sync` events by checking for updates. When a
+ * one-off sync's checks fail, the returned Promise rejects, so that the
+ * browser retries it later.
+ *
+ * @private
+ * @param {SyncEvent} event
+ */
+function syncBehavior(event) {
+  if (event.tag !== constants.SYNC_TAG) {
+    return;
+  }
+
+  if (event.type === 'periodicsync') {
+    event.waitUntil(checkForUpdates());
+    return;
+  }
+
+  // Checking for updates would request another sync if the network is still
+  // unavailable, so leave the retrying to the browser instead.
+  event.waitUntil(setLastBackgroundUpdate()
+    .then(() => idbHelpers[constants.STORES.MANIFEST_URL_TO_CONTENTS]
+      .getAllKeys())
+    .then((manifestUrls) => Promise.all(manifestUrls.map(backgroundUpdate))));
+}
+
+/**
+ * Handles the messages that the client runtime sends to the service worker.
+ * The service worker does all of the manifest fetching and caching on behalf
+ * of its pages, and is the only thing that writes to IndexedDB and to the
+ * caches.
+ *
+ * @private
+ * @param {ExtendableMessageEvent} event
+ */
+function messageBehavior(event) {
+  const data = event.data || {};
+  if (!event.source) {
+    return;
+  }
+
+  switch (data.type) {
+    case constants.MESSAGE_TYPES.UPDATE:
+      event.waitUntil(
+        updateBehavior(event.source, data.manifestUrl, data.pageUrl));
+      break;
+    case constants.MESSAGE_TYPES.SWAP_CACHE:
+      event.waitUntil(swapCacheBehavior(event.source, data.manifestUrl));
+      break;
+    case constants.MESSAGE_TYPES.ABORT:
+      abortBehavior(data.manifestUrl);
+      break;
+  }
+}
+
+/**
+ * `goog.appCacheBehavior.precache` fetches and parses each of the given
+ * AppCache manifests, and caches their entries, in the same way that visiting
+ * a page which uses the manifest would. This lets you populate the caches
+ * before any page has loaded the client runtime, e.g. when a new service
+ * worker is installed after a deployment:
+ *
+ * ```js
+ * self.addEventListener('install', (event) => {
+ *   event.waitUntil(goog.appCacheBehavior.precache([
+ *     'path/to/manifest.appcache',
+ *   ]));
+ * });
+ * ```
+ *
+ * Relative manifest URLs are resolved against the service worker's location.
+ * The returned Promise rejects if any of the manifests can't be cached, which
+ * will cause the installation to fail when used with `event.waitUntil()`.
+ *
+ * @alias goog.appCacheBehavior.precache
+ * @param {Array.<String>} manifestUrls
+ * @return {Promise.<Array.<String>>} The hash of each manifest's current
+ * version, or null for a manifest which is obsolete.
+ */
+function precache(manifestUrls) {
+  return Promise.all(manifestUrls.map((manifestUrl) => {
+    return startUpdate((new URL(manifestUrl, location.href)).href);
+  }));
+}
+
+/**
+ * `goog.appCacheBehavior.configure` customizes how the library behaves. Call it
+ * from the top level of your service worker script.
+ *
+ * By default, a request that doesn't match any section of the manifest, or
+ * that can't be fulfilled from the network or the cache, gets a
+ * `Response.error()`. The `offlineResponses` option is a list of rules which
+ * can replace that. The first rule whose `destination` and `mode` match the
+ * request's wins, and it can either name a cached page to use, describe a JSON
+ * response to synthesize, or provide a handler function:
+ *
+ * ```js
+ * goog.appCacheBehavior.configure({
+ *   offlineResponses: [
+ *     {mode: 'navigate', url: 'offline.html'},
+ *     {destination: '', json: {error: 'offline'}, status: 503},
+ *     {destination: 'image', handler: (request, error) => fetch('x.svg')},
+ *   ],
+ * });
+ * ```
+ *
+ * The `url` is looked up in all of the caches, so it should be listed in a
+ * manifest or cached by your own code.
+ *
+ * On flaky connections, a request that's waiting on the network can hang for
+ * a long time before failing. The `networkTimeouts` option sets how many
+ * milliseconds to wait for requests that match a `fallback` namespace (or a
+ * prefer-online master entry) or a `network` entry, before using the fallback
+ * or the offline response. URL `prefixes` take precedence over those:
+ *
+ * ```js
+ * goog.appCacheBehavior.configure({
+ *   networkTimeouts: {
+ *     fallback: 3000,
+ *     network: 10000,
+ *     prefixes: {'api/slow/': 30000},
+ *   },
+ * });
+ * ```
+ *
+ * When a manifest is downloaded, up to six of its entries are requested at
+ * once, and requests that fail with a network error or a 408, 429, 500, 502,
+ * 503 or 504 status are retried twice, waiting one second and then two. The
+ * `downloads` option changes those numbers:
+ *
+ * ```js
+ * goog.appCacheBehavior.configure({
+ *   downloads: {concurrency: 4, retries: 3, retryDelay: 500},
+ * });
+ * ```
+ *
+ * A manifest isn't requested again while its last response is fresh according
+ * to its `Cache-Control: max-age`, and is revalidated using its `ETag` and
+ * `Last-Modified` headers after that. The `maxManifestStaleness` option, in
+ * milliseconds, caps how long a manifest can go without being checked, and
+ * defaults to 24 hours.
+ *
+ * Fragments are ignored when matching requests against a manifest. Query
+ * parameters aren't, but the `ignoredSearchParams` option lists parameters,
+ * such as cache busters, to ignore when looking up CACHE and master entries,
+ * either for every URL in a manifest or for URLs with a given prefix:
+ *
+ * ```js
+ * goog.appCacheBehavior.configure({
+ *   ignoredSearchParams: [
+ *     {manifestUrl: 'manifest.appcache', params: ['v']},
+ *     {prefix: 'articles/', params: ['utm_source', 'utm_medium']},
+ *   ],
+ * });
+ * ```
+ *
+ * @alias goog.appCacheBehavior.configure
+ * @param {Object} options
+ * @param {Object} [options.downloads]
+ * @param {Array.<Object>} [options.ignoredSearchParams]
+ * @param {Number} [options.maxManifestStaleness]
+ * @param {Object} [options.networkTimeouts]
+ * @param {Array.<Object>} [options.offlineResponses]
+ */
+function configure(options) {
+  // Everything is validated before config is changed, so that an invalid
+  // option doesn't leave it half-updated.
+  const newConfig = Object.assign({}, options);
+
+  if (options.offlineResponses !== undefined &&
+      !Array.isArray(options.offlineResponses)) {
+    throw Error('offlineResponses must be an array.');
+  }
+
+  newConfig.downloads = Object.assign({}, config.downloads, options.downloads);
+  if (!(newConfig.downloads.concurrency >= 1)) {
+    throw Error('downloads.concurrency must be at least 1.');
+  }
+
+  if (options.ignoredSearchParams !== undefined) {
+    if (!Array.isArray(options.ignoredSearchParams)) {
+      throw Error('ignoredSearchParams must be an array.');
+    }
+
+    // As with the manifest's own URLs, relative URLs are resolved.
+    newConfig.ignoredSearchParams = options.ignoredSearchParams.map((rule) => {
+      if (!rule || !Array.isArray(rule.params) ||
+          !(rule.manifestUrl || rule.prefix)) {
+        throw Error('Each ignoredSearchParams rule needs params, and either ' +
+          'a manifestUrl or a prefix.');
+      }
+
+      return {
+        manifestUrl: rule.manifestUrl &&
+          (new URL(rule.manifestUrl, location.href)).href,
+        prefix: rule.prefix && (new URL(rule.prefix, location.href)).href,
+        params: rule.params,
+      };
+    });
+  }
+
+  if (options.networkTimeouts !== undefined) {
+    // Resolve the prefixes the same way the manifest's URLs are resolved, so
+    // that they can be compared with request URLs.
+    const prefixes = {};
+    const configuredPrefixes = (options.networkTimeouts || {}).prefixes || {};
+    Object.keys(configuredPrefixes).forEach((prefix) => {
+      prefixes[(new URL(prefix, location.href)).href] =
+        configuredPrefixes[prefix];
+    });
+    newConfig.networkTimeouts = Object.assign({}, options.networkTimeouts,
+      {prefixes});
+  }
+
+  Object.assign(config, newConfig);
+  downloadQueue.concurrency = config.downloads.concurrency;
+  if (options.ignoredSearchParams !== undefined) {
+    cacheEntryIndexes = new WeakMap();
+  }
+}
+
+self.addEventListener('message', messageBehavior);
+self.addEventListener('periodicsync', syncBehavior);
+self.addEventListener('sync', syncBehavior);
+
+export {
+  activate,
+  checkForUpdates,
+  cleanupOldCaches as cleanup,
+  configure,
+  disableNavigationPreload,
+  enableNavigationPreload,
+  fetchBehavior as fetch,
+  precache,
+  registerPeriodicUpdates,
+};
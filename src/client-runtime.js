@@ -42,10 +42,8 @@
  * @module sw-appcache-behavior
  */
 
+import ApplicationCache from './lib/application-cache.js';
 import constants from './lib/constants.js';
-import idb from 'idb';
-import md5 from 'blueimp-md5';
-import parseAppCacheManifest from 'parse-appcache-manifest';
 
 const swScript = document.currentScript.dataset.serviceWorker;
 const manifestAttribute = document.documentElement.getAttribute('manifest');
@@ -53,290 +51,89 @@ const manifestAttribute = document.documentElement.getAttribute('manifest');
 if (manifestAttribute && 'serviceWorker' in navigator) {
   const manifestUrl = (new URL(manifestAttribute, location.href)).href;
 
-  openIdb().then(function(db) {
-    return checkManifestVersion(db, manifestUrl).then(function(hash) {
-      return updateManifestAssociationForCurrentPage(db, manifestUrl, hash);
-    });
-  }).then(function() {
-    if (swScript) {
-      return navigator.serviceWorker.register(swScript);
-    }
-  });
-}
-
-/**
- * Opens a connection to IndexedDB, using the idb library.
- *
- * @private
- * @return {Promise.<DB>}
- */
-function openIdb() {
-  // TODO: Use idb-helpers.js instead.
-  return idb.open(constants.DB_NAME, constants.DB_VERSION, function(upgradeDB) {
-    if (upgradeDB.oldVersion === 0) {
-      Object.keys(constants.STORES).forEach(function(objectStore) {
-        upgradeDB.createObjectStore(constants.STORES[objectStore]);
-      });
-    }
-  });
-}
-
-/**
- * Caches the Responses for one or more URLs, using the Cache Storage API.
- *
- * @private
- * @param {String} hash
- * @param {Array.<String>} urls
- * @return {Promise.<T>}
- */
-function addToCache(hash, urls) {
-  // Use the manifest hash as the name of the Cache to open.
-  return caches.open(hash).then(function(cache) {
-    const fetchRequests = urls.map(function(url) {
-      // See Item 18.3 of https://html.spec.whatwg.org/multipage/browsers.html#downloading-or-updating-an-application-cache
-      const request = new Request(url, {
-        credentials: 'include',
-        headers: {
-          'X-Use-Fetch': true,
-        },
-        redirect: 'manual',
-      });
+  const applicationCache = installApplicationCache(manifestUrl);
 
-      return fetch(request).then(function(response) {
-        const cacheControl = response.headers.get('Cache-Control');
-        if (cacheControl && cacheControl.indexOf('no-store') !== -1) {
-          // Bail early if we're told not to cache this response.
-          return;
-        }
+  // The service worker script is optional, since the page might already
+  // register a service worker that imports appcache-behavior-import.js.
+  const registrationPromise = swScript ?
+    navigator.serviceWorker.register(swScript) :
+    Promise.resolve();
 
-        if (response.ok) {
-          return cache.put(url, response);
-        }
-
-        // See Item 18.5 of https://html.spec.whatwg.org/multipage/browsers.html#downloading-or-updating-an-application-cache
-        if (response.status !== 404 &&
-            response.status !== 410) {
-          // Assuming this isn't a 200, 404 or 410, we want the .catch() to
-          // trigger, which will cause any previously cached Response for this
-          // URL to be copied over to this new cache.
-          return Promise.reject();
-        }
-      }).catch(function() {
-        // We're here if one of the following happens:
-        // - The fetch() rejected due to a NetworkError.
-        // - The HTTP status code from the fetch() was something other than
-        //   200, 404, and 410 AND the response isn't Cache-Control: no-store
-        return caches.match(url).then(function(response) {
-          // Add a copy of the cached response to this new cache, if it exists.
-          if (response) {
-            return cache.put(url, response.clone());
-          }
-        });
-      });
+  registrationPromise.then(function() {
+    return postToServiceWorker({
+      type: constants.MESSAGE_TYPES.UPDATE,
+      manifestUrl: manifestUrl,
+      pageUrl: location.href,
     });
-
-    return Promise.all(fetchRequests);
+  }).catch(function(error) {
+    applicationCache._dispatch('error', {message: String(error)});
   });
 }
 
 /**
- * Compares the copy of a manifest obtained from fetch() with the copy stored
- * in IndexedDB. If they differ, it kicks off the manifest update process.
- *
- * It returns a Promise which fulfills with the hash for the current manifest.
+ * Replaces window.applicationCache with an ApplicationCache polyfill, and
+ * listens for the messages from the service worker that carry App Cache
+ * lifecycle events to it.
  *
  * @private
- * @param {DB} db
  * @param {String} manifestUrl
- * @return {Promise.<String>}
+ * @return {ApplicationCache}
  */
-function checkManifestVersion(db, manifestUrl) {
-  const tx = db.transaction(constants.STORES.MANIFEST_URL_TO_CONTENTS);
-  const store = tx.objectStore(
-    constants.STORES.MANIFEST_URL_TO_CONTENTS);
-
-  // See Item 4 of https://html.spec.whatwg.org/multipage/browsers.html#downloading-or-updating-an-application-cache
-  const manifestRequest = new Request(manifestUrl, {
-    credentials: 'include',
-    headers: {
-      'X-Use-Fetch': true,
+function installApplicationCache(manifestUrl) {
+  const applicationCache = new ApplicationCache({
+    update: function() {
+      postToServiceWorker({
+        type: constants.MESSAGE_TYPES.UPDATE,
+        manifestUrl: manifestUrl,
+        pageUrl: location.href,
+      });
+    },
+    swapCache: function() {
+      postToServiceWorker({
+        type: constants.MESSAGE_TYPES.SWAP_CACHE,
+        manifestUrl: manifestUrl,
+      });
+    },
+    abort: function() {
+      postToServiceWorker({
+        type: constants.MESSAGE_TYPES.ABORT,
+        manifestUrl: manifestUrl,
+      });
     },
   });
 
-  return Promise.all([
-    // TODO: Handle manifest fetch failure errors.
-    fetch(manifestRequest).then(function(manifestResponse) {
-      const dateHeaderValue = manifestResponse.headers.get('date');
-      if (dateHeaderValue) {
-        const manifestDate = new Date(dateHeaderValue).valueOf();
-        // Calculate the age of the manifest in milliseconds.
-        const manifestAgeInMillis = Date.now() - manifestDate;
-        // If the age is greater than 24 hours, then we need to refetch without
-        // hitting the cache.
-        if (manifestAgeInMillis > (24 * 60 * 60 * 1000)) {
-          const noCacheRequest = new Request(manifestUrl, {
-            credentials: 'include',
-            // See https://fetch.spec.whatwg.org/#requestcache
-            cache: 'reload',
-            headers: {
-              'X-Use-Fetch': true,
-            },
-          });
-
-          return fetch(noCacheRequest).then(function(noCacheResponse) {
-            return noCacheResponse.text();
-          });
-        }
-      }
-
-      return manifestResponse.text();
-    }).then(function(text) {
-      return {
-        // Hash a combination of URL and text so that two identical manifests
-        // served from a different location are treated distinctly.
-        hash: md5(manifestUrl + text),
-        text: text,
-      };
-    }),
-    store.get(manifestUrl),
-  ]).then(function(values) {
-    // values[0].hash is the MD5 hash of the manifest returned by fetch().
-    // values[0].text is the manifest text returned by fetch().
-    // values[1] is array of Objects with {hash, parsed} properties, or null.
-    const knownManifests = values[1] || [];
-    const knownManifestVersion = knownManifests.some(function(entry) {
-      return entry.hash === values[0].hash;
-    });
-
-    if (knownManifestVersion) {
-      // If we already know about this manifest version, return the hash.
-      return values[0].hash;
-    }
-
-    // If the hash of the manifest retrieved from the network isn't already
-    // in the list of known manifest hashes, then trigger an update.
-    return performManifestUpdate(db, manifestUrl, values[0].hash,
-      values[0].text, knownManifests);
-  });
-}
-
-/**
- * Parses the newest manifest text into the format described at
- * https://www.npmjs.com/package/parse-appcache-manifest
- * The parsed manifest is stored in IndexedDB.
- * This also calls addToCache() to cache the relevant URLs from the manifest.
- *
- * It returns a Promise which fulfills with the hash for the current manifest.
- *
- * @private
- * @param {DB} db
- * @param {String} manifestUrl
- * @param {String} hash
- * @param {String} text
- * @param {Array.<Object>} knownManifests
- * @return {Promise.<String>}
- */
-function performManifestUpdate(db, manifestUrl, hash, text, knownManifests) {
-  const parsedManifest = makeManifestUrlsAbsolute(manifestUrl,
-    parseAppCacheManifest(text));
-
-  knownManifests.push({
-    hash: hash,
-    parsed: parsedManifest,
-  });
-
-  const fallbackUrls = Object.keys(parsedManifest.fallback).map(function(key) {
-    return parsedManifest.fallback[key];
+  Object.defineProperty(window, 'applicationCache', {
+    configurable: true,
+    enumerable: true,
+    value: applicationCache,
   });
 
-  const urlsToCache = parsedManifest.cache.concat(fallbackUrls);
-
-  // All the master entries, i.e. those pages that were associated with an older
-  // version of the manifest at the same URL, should be copied over to the new
-  // cache as well.
-  const readTx = db.transaction(constants.STORES.PATH_TO_MANIFEST, 'readonly');
-  readTx.objectStore(constants.STORES.PATH_TO_MANIFEST).iterateCursor(
-    function(cursor) {
-      if (cursor) {
-        if (cursor.value === manifestUrl) {
-          urlsToCache.push(cursor.key);
-        }
-        cursor.continue();
-      }
+  navigator.serviceWorker.addEventListener('message', function(event) {
+    if (event.data &&
+        event.data.type === constants.MESSAGE_TYPES.APPCACHE_EVENT &&
+        event.data.manifestUrl === manifestUrl) {
+      applicationCache._dispatch(event.data.eventType, event.data.details);
     }
-  );
-
-  return readTx.complete.then(function() {
-    const writeTx = db.transaction(constants.STORES.MANIFEST_URL_TO_CONTENTS,
-      'readwrite');
-    const manifestUrlToContentsStore = writeTx.objectStore(
-      constants.STORES.MANIFEST_URL_TO_CONTENTS);
-
-    return Promise.all([
-      manifestUrlToContentsStore.put(knownManifests, manifestUrl),
-      // Wait on tx.complete to ensure that the transaction succeeded.
-      writeTx.complete,
-      addToCache(hash, urlsToCache),
-    ]);
-  }).then(function() {
-    return hash;
   });
-}
+  // Otherwise, messages aren't delivered until the document has been parsed.
+  if (navigator.serviceWorker.startMessages) {
+    navigator.serviceWorker.startMessages();
+  }
 
-/**
- * Updates IndexedDB to indicate that the current page's URL is associated
- * with the AppCache manifest at manifestUrl.
- * It also adds the current page to the cache versioned with hash, matching
- * the master entry cache-as-you-go behavior you get with AppCache.
- *
- * @private
- * @param {DB} db
- * @param {String} manifestUrl
- * @param {String} hash
- * @return {Promise.<T>}
- */
-function updateManifestAssociationForCurrentPage(db, manifestUrl, hash) {
-  const tx = db.transaction(constants.STORES.PATH_TO_MANIFEST,
-    'readwrite');
-  const store = tx.objectStore(constants.STORES.PATH_TO_MANIFEST);
-
-  return Promise.all([
-    store.put(manifestUrl, location.href),
-    // Wait on tx.complete to ensure that the transaction succeeded.
-    tx.complete,
-    addToCache(hash, [location.href]),
-  ]);
+  return applicationCache;
 }
 
 /**
- * Converts all the URLs in a given manifest's CACHE, NETWORK, and FALLBACK
- * sections to be absolute URLs.
+ * Sends a message to the active service worker, which does the actual work of
+ * checking the manifest and caching its entries. The page doesn't need to be
+ * controlled by the service worker yet.
  *
  * @private
- * @param {String} baseUrl
- * @param {Object} originalManifest
- * @return {Object}
+ * @param {Object} message
+ * @return {Promise.<T>}
  */
-function makeManifestUrlsAbsolute(baseUrl, originalManifest) {
-  const manifest = {};
-
-  manifest.cache = originalManifest.cache.map(function(relativeUrl) {
-    return (new URL(relativeUrl, baseUrl)).href;
-  });
-
-  manifest.network = originalManifest.network.map(function(relativeUrl) {
-    if (relativeUrl === '*') {
-      return relativeUrl;
-    }
-
-    return (new URL(relativeUrl, baseUrl)).href;
-  });
-
-  manifest.fallback = {};
-  Object.keys(originalManifest.fallback).forEach(function(key) {
-    manifest.fallback[(new URL(key, baseUrl)).href] =
-      (new URL(originalManifest.fallback[key], baseUrl)).href;
+function postToServiceWorker(message) {
+  return navigator.serviceWorker.ready.then(function(registration) {
+    registration.active.postMessage(message);
   });
-
-  return manifest;
 }
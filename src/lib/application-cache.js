@@ -0,0 +1,186 @@
+/*
+ Copyright 2016 Google Inc. All Rights Reserved.
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+/* eslint-env browser */
+
+import constants from './constants.js';
+
+// The status that the cache moves into once a given event is dispatched.
+// error isn't listed, since the status it leads to depends on whether there's
+// a cache to fall back on.
+const STATUS_AFTER_EVENT = {
+  checking: constants.STATUS.CHECKING,
+  downloading: constants.STATUS.DOWNLOADING,
+  cached: constants.STATUS.IDLE,
+  noupdate: constants.STATUS.IDLE,
+  updateready: constants.STATUS.UPDATEREADY,
+  obsolete: constants.STATUS.OBSOLETE,
+};
+
+/**
+ * A stand-in for the native `window.applicationCache` object, which dispatches
+ * the App Cache lifecycle events so that existing listeners keep working.
+ *
+ * Both `addEventListener()` and the `on<event>` handler properties are
+ * supported.
+ *
+ * @private
+ */
+class ApplicationCache extends EventTarget {
+  /**
+   * Sets up the `on<event>` handler properties for each of the App Cache
+   * lifecycle events.
+   *
+   * @param {Object} actions
+   * @param {Function} actions.update Starts a manifest check.
+   * @param {Function} actions.swapCache Switches to the newest cache.
+   * @param {Function} actions.abort Cancels a manifest check or download.
+   */
+  constructor(actions) {
+    super();
+
+    this._actions = actions;
+    this._status = constants.STATUS.UNCACHED;
+    this._hasCache = false;
+
+    this._handlers = {};
+    constants.EVENT_TYPES.forEach((type) => {
+      Object.defineProperty(this, 'on' + type, {
+        get: () => this._handlers[type] || null,
+        set: (handler) => {
+          if (this._handlers[type]) {
+            this.removeEventListener(type, this._handlers[type]);
+          }
+
+          this._handlers[type] = typeof handler === 'function' ? handler : null;
+          if (this._handlers[type]) {
+            this.addEventListener(type, this._handlers[type]);
+          }
+        },
+      });
+    });
+  }
+
+  /**
+   * One of the `UNCACHED`, `IDLE`, `CHECKING`, `DOWNLOADING`, `UPDATEREADY` or
+   * `OBSOLETE` constants.
+   *
+   * @return {Number}
+   */
+  get status() {
+    return this._status;
+  }
+
+  /**
+   * Starts checking the manifest for an update.
+   */
+  update() {
+    if (this._status === constants.STATUS.UNCACHED ||
+        this._status === constants.STATUS.OBSOLETE) {
+      throw new DOMException('There is no application cache to update.',
+        'InvalidStateError');
+    }
+
+    this._actions.update();
+  }
+
+  /**
+   * Switches the current page over to the newest cache, so that subsequent
+   * requests are served using it.
+   */
+  swapCache() {
+    if (this._status !== constants.STATUS.UPDATEREADY) {
+      throw new DOMException('There is no newer application cache to swap to.',
+        'InvalidStateError');
+    }
+
+    this._actions.swapCache();
+    this._status = constants.STATUS.IDLE;
+  }
+
+  /**
+   * Cancels any manifest check or download that's in progress.
+   */
+  abort() {
+    this._actions.abort();
+  }
+
+  /**
+   * Creates and dispatches an event of the given type, after updating the
+   * status to match.
+   * `progress` events are dispatched as a `ProgressEvent`, using the `loaded`
+   * and `total` values from details. Any other details are copied onto the
+   * event, e.g. to give `error` listeners a `message`, or `progress` listeners
+   * the `url` and `outcome` of the entry that was just handled.
+   *
+   * @private
+   * @param {String} type
+   * @param {Object} [details]
+   */
+  _dispatch(type, details) {
+    details = details || {};
+
+    if (type in STATUS_AFTER_EVENT) {
+      this._status = STATUS_AFTER_EVENT[type];
+    } else if (type === 'error' && details.fatal === false) {
+      // A non-fatal error means that the page still has a cache to use. One
+      // about a single entry, e.g. which failed its integrity check, leaves
+      // the download's status alone. Any other ends the update, e.g. because
+      // the page was loaded offline, and returns to idle.
+      this._hasCache = true;
+      if (!details.url) {
+        this._status = constants.STATUS.IDLE;
+      }
+    } else if (type === 'error') {
+      this._status = this._hasCache ?
+        constants.STATUS.IDLE : constants.STATUS.UNCACHED;
+    }
+
+    if (this._status === constants.STATUS.IDLE ||
+        this._status === constants.STATUS.UPDATEREADY) {
+      this._hasCache = true;
+    } else if (this._status === constants.STATUS.OBSOLETE) {
+      this._hasCache = false;
+    }
+
+    let event;
+    if (type === 'progress') {
+      event = new ProgressEvent(type, {
+        lengthComputable: typeof details.total === 'number',
+        loaded: details.loaded || 0,
+        total: details.total || 0,
+      });
+    } else {
+      event = new Event(type);
+    }
+
+    Object.keys(details).forEach((key) => {
+      if (!(key in event)) {
+        event[key] = details[key];
+      }
+    });
+
+    this.dispatchEvent(event);
+  }
+}
+
+// Like the native interface, expose the status values on both the constructor
+// and instances.
+Object.keys(constants.STATUS).forEach((name) => {
+  ApplicationCache[name] = constants.STATUS[name];
+  ApplicationCache.prototype[name] = constants.STATUS[name];
+});
+
+export default ApplicationCache;
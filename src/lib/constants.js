@@ -14,11 +14,65 @@
 */
 
 export default {
+  // How long, in milliseconds, a version can be recorded as being downloaded
+  // before its caches are treated as left over from a service worker that
+  // was stopped in the middle of the download.
+  ABANDONED_DOWNLOAD_AGE: 60 * 60 * 1000,
+  // The minimum time, in milliseconds, between the manifest update checks
+  // that the service worker starts on its own when handling navigations.
+  BACKGROUND_UPDATE_INTERVAL: 60 * 60 * 1000,
   DB_NAME: 'appcache-to-service-worker',
-  DB_VERSION: 1,
+  // Version 2 added the MANIFEST_URL_TO_CHECK store, version 3 the
+  // STATE_KEY_TO_VALUE store, and version 4 the HASH_TO_DOWNLOAD_START store.
+  // Upgrading only creates the stores that are missing, so the data from
+  // earlier versions is kept.
+  DB_VERSION: 4,
+  EVENT_TYPES: [
+    'checking',
+    'downloading',
+    'progress',
+    'cached',
+    'noupdate',
+    'updateready',
+    'obsolete',
+    'error',
+    // Not part of App Cache, but used to report problems with a manifest
+    // that don't stop it from being used.
+    'warning',
+  ],
+  // How long to wait, in milliseconds, before each retry when the manifest
+  // changes while its entries are being downloaded.
+  MANIFEST_RECHECK_DELAYS: [1000, 5000, 15000],
+  MESSAGE_TYPES: {
+    ABORT: 'sw-appcache-behavior:abort',
+    APPCACHE_EVENT: 'sw-appcache-behavior:event',
+    SWAP_CACHE: 'sw-appcache-behavior:swap-cache',
+    UPDATE: 'sw-appcache-behavior:update',
+  },
+  // A conservative estimate, in bytes, of how much an opaque response counts
+  // against the storage quota, since browsers pad their sizes.
+  OPAQUE_RESPONSE_SIZE: 7 * 1024 * 1024,
+  STAGING_CACHE_SUFFIX: '-staging',
+  STATUS: {
+    UNCACHED: 0,
+    IDLE: 1,
+    CHECKING: 2,
+    DOWNLOADING: 3,
+    UPDATEREADY: 4,
+    OBSOLETE: 5,
+  },
   STORES: {
     CLIENT_ID_TO_HASH: 'client-to-hash',
+    HASH_TO_DOWNLOAD_START: 'hash-to-download-start',
+    MANIFEST_URL_TO_CHECK: 'manifest-url-to-check',
     MANIFEST_URL_TO_CONTENTS: 'manifest-url-to-contents',
     PATH_TO_MANIFEST: 'path-to-manifest',
+    STATE_KEY_TO_VALUE: 'state-key-to-value',
+  },
+  // The keys of the values kept in the STATE_KEY_TO_VALUE store.
+  STATE_KEYS: {
+    LAST_BACKGROUND_UPDATE: 'last-background-update',
   },
+  // The tag used for both periodic and one-off background sync registrations.
+  SYNC_TAG: 'sw-appcache-behavior:update',
 };
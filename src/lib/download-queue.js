@@ -0,0 +1,65 @@
+/*
+ Copyright 2016 Google Inc. All Rights Reserved.
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+/**
+ * Runs asynchronous tasks, such as downloads, while limiting how many of them
+ * are in progress at once. Tasks start in the order they're added.
+ *
+ * @private
+ */
+class DownloadQueue {
+  /**
+   * @param {Number} concurrency The maximum number of tasks to run at once.
+   */
+  constructor(concurrency) {
+    this.concurrency = concurrency;
+    this._active = 0;
+    this._waiting = [];
+  }
+
+  /**
+   * Adds a task to the queue.
+   * Returns a Promise which settles the same way as the task's Promise, once
+   * the task has had a chance to run.
+   *
+   * @param {Function} task Called with no arguments, and returns a Promise.
+   * @return {Promise<T>}
+   */
+  add(task) {
+    return new Promise((resolve, reject) => {
+      this._waiting.push(() => {
+        this._active++;
+        Promise.resolve().then(task).then(resolve, reject).then(() => {
+          this._active--;
+          this._next();
+        });
+      });
+      this._next();
+    });
+  }
+
+  /**
+   * Starts as many of the waiting tasks as the concurrency limit allows.
+   *
+   * @private
+   */
+  _next() {
+    while (this._waiting.length && this._active < this.concurrency) {
+      this._waiting.shift()();
+    }
+  }
+}
+
+export default DownloadQueue;
@@ -14,16 +14,28 @@
 */
 
 /* eslint-disable require-jsdoc */
+/* global BroadcastChannel */
 
 import idb from 'idb';
 
 /**
  * A wrapper to store for an IDB connection to a particular ObjectStore.
  *
+ * Values are kept in memory once they've been read or written, so IDB is only
+ * read on a cold start. Writes are announced on a BroadcastChannel, so that
+ * other service worker instances sharing the database drop their copies.
+ *
  * @private
  */
 class IDBHelper {
-  constructor(name, version, storeName) {
+  /**
+   * @param {String} name
+   * @param {Number} version
+   * @param {String} storeName
+   * @param {Function} [upgradeCallback] Called with the UpgradeDB when the
+   * database is created or upgraded. By default, it creates storeName.
+   */
+  constructor(name, version, storeName, upgradeCallback) {
     if (name == undefined || version == undefined || storeName == undefined) {
       throw Error('name, version, storeName must be passed to the ' +
         'constructor.');
@@ -32,6 +44,97 @@ class IDBHelper {
     this._name = name;
     this._version = version;
     this._storeName = storeName;
+    this._upgradeCallback = upgradeCallback || ((upgradeDB) => {
+      upgradeDB.createObjectStore(this._storeName);
+    });
+
+    // this._memoryCache maps keys to values. this._isComplete is set once
+    // every entry in the store has been read into it. this._generation is
+    // bumped on each write, so that reads which started earlier don't
+    // overwrite newer values.
+    this._memoryCache = new Map();
+    this._isComplete = false;
+    this._generation = 0;
+
+    if (typeof BroadcastChannel === 'function') {
+      this._channel = new BroadcastChannel(this._name);
+      this._channel.addEventListener('message', (event) => {
+        if (event.data && event.data.storeName === this._storeName) {
+          this.invalidate();
+        }
+      });
+    }
+  }
+
+  /**
+   * Drops the in-memory copy of the object store, so that the next read goes
+   * to IndexedDB.
+   *
+   * @private
+   */
+  invalidate() {
+    this._memoryCache.clear();
+    this._isComplete = false;
+    this._generation++;
+  }
+
+  /**
+   * Updates the in-memory copy after a write, and lets other instances know
+   * that theirs is out of date.
+   *
+   * @private
+   * @param {Promise<T>} writePromise
+   * @param {Function} updateMemoryCache
+   * @return {Promise<T>}
+   */
+  _afterWrite(writePromise, updateMemoryCache) {
+    this._generation++;
+    return writePromise.then(() => {
+      updateMemoryCache();
+      if (this._channel) {
+        this._channel.postMessage({storeName: this._storeName});
+      }
+    }, (error) => {
+      this.invalidate();
+      throw error;
+    });
+  }
+
+  /**
+   * Reads everything in the object store into memory, unless that's already
+   * been done.
+   * Returns a promise that fulfills with an array of [key, value] pairs,
+   * sorted by key in the same order that IndexedDB would use.
+   *
+   * @private
+   * @return {Promise<Array<Array>>}
+   */
+  _loadAll() {
+    const sortEntries = (entries) => {
+      return Array.from(entries)
+        .filter(([key, value]) => value !== undefined)
+        .sort(([a], [b]) => (a < b ? -1 : (a > b ? 1 : 0)));
+    };
+
+    if (this._isComplete) {
+      return Promise.resolve(sortEntries(this._memoryCache));
+    }
+
+    const generation = this._generation;
+    return this._getDb().then((db) => {
+      const objectStore = db.transaction(this._storeName)
+        .objectStore(this._storeName);
+      return Promise.all([objectStore.getAllKeys(), objectStore.getAll()]);
+    }).then(([keys, values]) => {
+      const entries = new Map();
+      keys.forEach((key, i) => entries.set(key, values[i]));
+
+      if (generation === this._generation) {
+        this._memoryCache = entries;
+        this._isComplete = true;
+      }
+      return sortEntries(entries);
+    });
   }
 
   /**
@@ -46,14 +149,25 @@ class IDBHelper {
       return this._dbPromise;
     }
 
-    this._dbPromise = idb.open(this._name, this._version, (upgradeDB) => {
-      upgradeDB.createObjectStore(this._storeName);
-    })
+    const dbPromise = idb.open(this._name, this._version,
+      this._upgradeCallback)
     .then((db) => {
+      // A newer version of the service worker that needs to upgrade the
+      // database can't do so while this connection is open, so close it and
+      // let the next read or write reopen it. idb doesn't proxy the
+      // onversionchange property, hence the use of the underlying database.
+      db._db.onversionchange = () => {
+        db.close();
+        if (this._dbPromise === dbPromise) {
+          this._dbPromise = null;
+        }
+        this.invalidate();
+      };
       return db;
     });
 
-    return this._dbPromise;
+    this._dbPromise = dbPromise;
+    return dbPromise;
   }
 
   close() {
@@ -79,12 +193,12 @@ class IDBHelper {
    * @return {Promise<T>}
    */
   put(key, value) {
-    return this._getDb().then((db) => {
+    return this._afterWrite(this._getDb().then((db) => {
       const tx = db.transaction(this._storeName, 'readwrite');
       const objectStore = tx.objectStore(this._storeName);
       objectStore.put(value, key);
       return tx.complete;
-    });
+    }), () => this._memoryCache.set(key, value));
   }
 
   /**
@@ -97,12 +211,12 @@ class IDBHelper {
    * @return {Promise<T>}
    */
   delete(key) {
-    return this._getDb().then((db) => {
+    return this._afterWrite(this._getDb().then((db) => {
       const tx = db.transaction(this._storeName, 'readwrite');
       const objectStore = tx.objectStore(this._storeName);
       objectStore.delete(key);
       return tx.complete;
-    });
+    }), () => this._memoryCache.delete(key));
   }
 
   /**
@@ -115,10 +229,21 @@ class IDBHelper {
    * @return {Promise<Object>}
    */
   get(key) {
+    if (this._memoryCache.has(key) || this._isComplete) {
+      return Promise.resolve(this._memoryCache.get(key));
+    }
+
+    const generation = this._generation;
     return this._getDb().then((db) => {
       return db.transaction(this._storeName)
         .objectStore(this._storeName)
         .get(key);
+    }).then((value) => {
+      // Missing keys are remembered too, as undefined.
+      if (generation === this._generation) {
+        this._memoryCache.set(key, value);
+      }
+      return value;
     });
   }
 
@@ -131,10 +256,20 @@ class IDBHelper {
    * @return {Promise<Array<Object>>}
    */
   getAllValues() {
-    return this._getDb().then((db) => {
-      return db.transaction(this._storeName)
-        .objectStore(this._storeName)
-        .getAll();
+    return this._loadAll().then((entries) => entries.map(([, value]) => value));
+  }
+
+  /**
+   * Wrapper on top of the idb wrapper, which simplifies getting all the
+   * key/value pairs in an object store.
+   * Returns a promise that fulfills with an array of {key, value} objects.
+   *
+   * @private
+   * @return {Promise<Array<Object>>}
+   */
+  getAllEntries() {
+    return this._loadAll().then((entries) => {
+      return entries.map(([key, value]) => ({key, value}));
     });
   }
 
@@ -148,11 +283,7 @@ class IDBHelper {
    * @return {Promise<Array<Object>>}
    */
   getAllKeys() {
-    return this._getDb().then((db) => {
-      return db.transaction(this._storeName)
-        .objectStore(this._storeName)
-        .getAllKeys();
-    });
+    return this._loadAll().then((entries) => entries.map(([key]) => key));
   }
 }
 
@@ -0,0 +1,70 @@
+/*
+ Copyright 2016 Google Inc. All Rights Reserved.
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+/**
+ * Builds an index of URL prefixes which can find the longest prefix of a URL
+ * with one Set lookup per distinct prefix length, rather than by comparing
+ * the URL with every prefix.
+ *
+ * @private
+ * @param {Array.<String>} prefixes
+ * @return {Object} The index, with prefixes and lengths properties.
+ */
+function indexPrefixes(prefixes) {
+  const lengths = new Set(prefixes.map((prefix) => prefix.length));
+  return {
+    prefixes: new Set(prefixes),
+    // Longest first, so that the first match found is the one to use.
+    lengths: Array.from(lengths).sort((a, b) => b - a),
+  };
+}
+
+/**
+ * Compiles a parsed manifest into the structures used to match request URLs
+ * against it. The result only contains Sets, arrays and primitives, so it can
+ * be stored in IndexedDB alongside the manifest version.
+ *
+ * @private
+ * @param {Object} parsedManifest
+ * @return {Object}
+ */
+function compile(parsedManifest) {
+  return {
+    cache: new Set(parsedManifest.cache),
+    fallback: indexPrefixes(Object.keys(parsedManifest.fallback)),
+    network: indexPrefixes(
+      parsedManifest.network.filter((entry) => entry !== '*')),
+    networkWildcard: parsedManifest.network.includes('*'),
+  };
+}
+
+/**
+ * Finds the longest prefix of a URL in an index created by compile().
+ *
+ * @private
+ * @param {Object} index Either the fallback or network property of a
+ * compiled manifest.
+ * @param {String} url
+ * @return {String} The longest matching prefix, or '' if none match.
+ */
+function longestPrefix(index, url) {
+  const matchingLength = index.lengths.find((length) => {
+    return length <= url.length && index.prefixes.has(url.slice(0, length));
+  });
+
+  return matchingLength === undefined ? '' : url.slice(0, matchingLength);
+}
+
+export default {compile, longestPrefix};
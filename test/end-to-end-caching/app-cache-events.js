@@ -0,0 +1,24 @@
+/* eslint-env browser */
+
+/*
+ * Keeps a record of the App Cache events that the page receives, so that the
+ * tests can wait for an update to finish instead of guessing how long it
+ * takes. It has to be called right after the client runtime has installed
+ * the applicationCache polyfill, before any events are delivered.
+ */
+window.recordAppCacheEvents = () => {
+  window.appCacheEvents = [];
+
+  ['checking', 'downloading', 'progress', 'cached', 'noupdate', 'updateready',
+    'obsolete', 'error', 'warning'].forEach((type) => {
+    window.applicationCache.addEventListener(type, (event) => {
+      window.appCacheEvents.push({
+        type,
+        fatal: event.fatal,
+        reason: event.reason,
+        url: event.url,
+        outcome: event.outcome,
+      });
+    });
+  });
+};
@@ -0,0 +1,8 @@
+/* eslint-env worker */
+/* global goog */
+
+// Loaded as a dedicated worker, to check that the library can be imported
+// without any errors, and without a service worker having to install.
+importScripts('../../build/appcache-behavior-import.js');
+
+self.postMessage(Object.keys(goog.appCacheBehavior));
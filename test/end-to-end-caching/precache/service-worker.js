@@ -0,0 +1,11 @@
+/* eslint-env worker, serviceworker */
+/* global goog */
+
+importScripts('../../../build/appcache-behavior-import.js');
+
+self.addEventListener('install', (event) =>
+  event.waitUntil(goog.appCacheBehavior.precache(['precache.appcache'])));
+
+self.addEventListener('fetch', (event) => {
+  event.respondWith(goog.appCacheBehavior.fetch(event));
+});
@@ -3,9 +3,16 @@
 
 importScripts('../../build/appcache-behavior-import.js');
 
+goog.appCacheBehavior.configure({
+  offlineResponses: [{destination: '', json: {error: 'offline'}}],
+  ignoredSearchParams: [{manifestUrl: 'step6.appcache', params: ['v']}],
+  networkTimeouts: {fallback: 1000},
+});
+
 self.addEventListener('install', (event) =>
   event.waitUntil(self.skipWaiting()));
-self.addEventListener('activate', () => self.clients.claim());
+self.addEventListener('activate', (event) =>
+  goog.appCacheBehavior.activate(event, {claimClients: true}));
 
 self.addEventListener('fetch', (event) => {
   event.respondWith(goog.appCacheBehavior.fetch(event));
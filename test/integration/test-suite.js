@@ -66,6 +66,19 @@ module.exports = (webdriverCb) => {
     let baseTestUrl;
     let webdriverInstance;
 
+    // Waits until the current page's applicationCache polyfill has fired one
+    // of the given events, e.g. to know that its update has finished, and
+    // resolves with the first of them. The events are recorded by the pages,
+    // in app-cache-events.js.
+    const waitForAppCacheEvent = (eventTypes) => {
+      return webdriverInstance.wait(() => {
+        return webdriverInstance.executeScript((types) => {
+          return window.appCacheEvents.find(
+            (event) => types.indexOf(event.type) !== -1);
+        }, eventTypes);
+      });
+    };
+
     // Set up the web server before running any tests in this suite.
     before(function() {
       webdriverInstance = webdriverCb();
@@ -132,9 +145,24 @@ module.exports = (webdriverCb) => {
       });
     });
 
-    it('should create one cache', function() {
+    it('should import the service worker library without errors', function() {
       return webdriverInstance.executeAsyncScript((callback) => {
-        window.caches.keys().then(callback);
+        const worker = new Worker('import-library.js');
+        worker.onmessage = (event) => callback({exports: event.data});
+        worker.onerror = (event) => callback({error: event.message});
+      })
+      .then((result) => {
+        expect(result.error).to.not.be.ok;
+        expect(result.exports).to.include.members(['activate', 'fetch']);
+      });
+    });
+
+    it('should create one cache', function() {
+      return waitForAppCacheEvent(['cached', 'noupdate'])
+      .then(() => {
+        return webdriverInstance.executeAsyncScript((callback) => {
+          window.caches.keys().then(callback);
+        });
       })
       .then((caches) => {
         expect(caches).to.have.lengthOf(1);
@@ -146,20 +174,23 @@ module.exports = (webdriverCb) => {
       const parsedManifest = parseManifest(manifestContent);
       expect(parsedManifest.cache).to.have.length.above(0);
 
-      return webdriverInstance.executeAsyncScript((entries, callback) => {
-        Promise.all(
-          entries.map((entry) => {
-            // The App Cache manifest URL is the base for any relative URLs.
-            const manifestUrl = new URL(
-              document.documentElement.getAttribute('manifest'),
-              window.location
-            );
-            const url = new URL(entry, manifestUrl);
-
-            return window.caches.match(url.toString());
-          })
-        ).then(callback);
-      }, parsedManifest.cache).then((matches) => {
+      return waitForAppCacheEvent(['cached', 'noupdate'])
+      .then(() => {
+        return webdriverInstance.executeAsyncScript((entries, callback) => {
+          Promise.all(
+            entries.map((entry) => {
+              // The App Cache manifest URL is the base for any relative URLs.
+              const manifestUrl = new URL(
+                document.documentElement.getAttribute('manifest'),
+                window.location
+              );
+              const url = new URL(entry, manifestUrl);
+
+              return window.caches.match(url.toString());
+            })
+          ).then(callback);
+        }, parsedManifest.cache);
+      }).then((matches) => {
         expect(matches).to.not.include(null);
       });
     });
@@ -181,11 +212,10 @@ module.exports = (webdriverCb) => {
     it('should cache another master entry for subsequent navigation', function() {
       const url = `${baseTestUrl}end-to-end-caching/step2.html`;
       return webdriverInstance.get(url)
+      .then(() => waitForAppCacheEvent(['cached', 'noupdate', 'updateready']))
       .then(() => {
         return webdriverInstance.executeAsyncScript((callback) => {
-          window.setTimeout(() => {
-            window.caches.match(window.location).then(callback);
-          }, 100); // Timeouts... ugh.
+          window.caches.match(window.location).then(callback);
         });
       })
       .then((match) => {
@@ -219,13 +249,12 @@ module.exports = (webdriverCb) => {
         const outputPath = path.join(tempDirectory, 'manifest1.appcache');
         return fsePromise.outputFile(outputPath, generateManifestText(2))
           .then(() => webdriverInstance.get(url))
+          .then(() => {
+            return waitForAppCacheEvent(['cached', 'noupdate', 'updateready']);
+          })
           .then(() => {
             return webdriverInstance.executeAsyncScript((callback) => {
-              window.setTimeout(() => {
-                // This will resolve with an array of arrays, with each item
-                // in the inner array corresponding to a cache entry.
-                window.caches.keys().then(callback);
-              }, 500); // Timeouts... ugh.
+              window.caches.keys().then(callback);
             });
           }).then((currentCaches) => {
             // This is a roundabout way of checking to make sure there's one
@@ -238,14 +267,31 @@ module.exports = (webdriverCb) => {
       });
     });
 
+    it('should reuse unchanged entries with a conditional request', function() {
+      // The previous test updated manifest1.appcache, but not common.css, so
+      // the server should have confirmed that the cached copy is current.
+      return webdriverInstance.executeScript(() => {
+        return window.appCacheEvents.filter((event) => {
+          return event.type === 'progress' &&
+            new URL(event.url).pathname.endsWith('/common.css');
+        });
+      })
+      .then((progressEvents) => {
+        expect(progressEvents).to.have.lengthOf(1);
+        expect(progressEvents[0].outcome).to.equal('unchanged');
+      });
+    });
+
     it('should use a different cache when the manifest is different', function() {
       return webdriverInstance.executeAsyncScript((callback) => {
         window.caches.keys().then(callback);
       }).then((previousCaches) => {
         const url = `${baseTestUrl}end-to-end-caching/step4.html`;
         return webdriverInstance.get(url).then(() => {
+          return waitForAppCacheEvent(['cached', 'noupdate', 'updateready']);
+        }).then(() => {
           return webdriverInstance.executeAsyncScript((callback) => {
-            window.setTimeout(() => window.caches.keys().then(callback), 100);
+            window.caches.keys().then(callback);
           }).then((currentCaches) => {
             // This is a roundabout way of checking to make sure there's one
             // entry in the set of new caches that wasn't in the previous
@@ -257,5 +303,381 @@ module.exports = (webdriverCb) => {
         });
       });
     });
+
+    it('should delete the cache when the manifest is obsolete', function() {
+      return webdriverInstance.executeAsyncScript((callback) => {
+        window.caches.keys().then(callback);
+      }).then((previousCaches) => {
+        const url = `${baseTestUrl}end-to-end-caching/step4.html`;
+        // Removing manifest2.appcache means that it will return a 404.
+        const outputPath = path.join(tempDirectory, 'manifest2.appcache');
+        return fsePromise.remove(outputPath)
+          .then(() => webdriverInstance.get(url))
+          .then(() => waitForAppCacheEvent(['obsolete']))
+          .then(() => {
+            return webdriverInstance.executeAsyncScript((callback) => {
+              window.caches.keys().then(callback);
+            });
+          }).then((currentCaches) => {
+            // The cache for manifest2.appcache should be the only one that's
+            // been removed.
+            const filtered = previousCaches.filter(
+              (cache) => currentCaches.indexOf(cache) === -1);
+            expect(filtered).to.have.lengthOf(1);
+          });
+      });
+    });
+
+    it('should keep the previous version when an entry can\'t be cached', function() {
+      const url = `${baseTestUrl}end-to-end-caching/step5.html`;
+      const outputPath = path.join(tempDirectory, 'manifest3.appcache');
+      let previousCaches;
+
+      return fsePromise.outputFile(outputPath, generateManifestText(1))
+        .then(() => webdriverInstance.get(url))
+        .then(() => waitForAppCacheEvent(['cached', 'error']))
+        .then((event) => {
+          expect(event.type).to.equal('cached');
+          return webdriverInstance.executeAsyncScript((callback) => {
+            window.caches.keys().then(callback);
+          });
+        })
+        .then((caches) => {
+          previousCaches = caches;
+          // The new entry's integrity annotation can't match, and there's no
+          // previous copy of it to use instead, so the update has to fail.
+          const failingEntry = '/__echo/filename/failing-entry';
+          const manifestText = `${generateManifestText(2)}
+
+CACHE:
+# integrity sha256-${'A'.repeat(43)}= ${failingEntry}
+${failingEntry}`;
+          return fsePromise.outputFile(outputPath, manifestText);
+        })
+        .then(() => webdriverInstance.get(url))
+        .then(() => waitForAppCacheEvent(['noupdate', 'updateready', 'error']))
+        .then((event) => {
+          expect(event.type).to.equal('error');
+          expect(event.fatal).to.equal(false);
+          return webdriverInstance.executeAsyncScript((callback) => {
+            Promise.all([
+              window.caches.keys(),
+              window.caches.match(window.location),
+              window.caches.match(new URL('common.css', window.location)),
+            ]).then(([caches, page, stylesheet]) => {
+              callback({caches, page: !!page, stylesheet: !!stylesheet});
+            });
+          });
+        })
+        .then((result) => {
+          // Neither a cache for the new version nor its staging cache should
+          // be left behind, and the page can still use the previous version.
+          const filtered = result.caches.filter(
+            (cache) => previousCaches.indexOf(cache) === -1);
+          expect(filtered).to.have.lengthOf(0);
+          expect(result.page).to.be.true;
+          expect(result.stylesheet).to.be.true;
+        });
+    });
+
+    it('should only go to the network for URLs with a NETWORK prefix', function() {
+      const url = `${baseTestUrl}end-to-end-caching/step6.html`;
+      return webdriverInstance.get(url)
+        .then(() => waitForAppCacheEvent(['cached', 'noupdate', 'error']))
+        .then((event) => {
+          expect(event.type).to.not.equal('error');
+          return webdriverInstance.executeAsyncScript((callback) => {
+            const fetchText = (requestUrl) => {
+              return fetch(requestUrl).then((response) => {
+                return response.ok ? response.text() : null;
+              }, () => null);
+            };
+
+            Promise.all([
+              fetchText('/__echo/filename/network-prefix'),
+              fetchText('/__echo/date/no-prefix'),
+            ]).then(callback);
+          });
+        })
+        .then(([matching, notMatching]) => {
+          // step6.appcache only lists /__echo/filename/ in its NETWORK section.
+          expect(matching).to.equal('network-prefix');
+          expect(notMatching).to.be.null;
+        });
+    });
+
+    it('should use the configured offline response for unmatched requests', function() {
+      // The service worker is configured to respond to fetch() calls that
+      // don't match anything in the manifest with a JSON error.
+      return webdriverInstance.executeAsyncScript((callback) => {
+        fetch('/__echo/date/unmatched').then((response) => {
+          return response.json().then((body) => {
+            callback({status: response.status, body});
+          });
+        }).catch((error) => callback({error: String(error)}));
+      })
+      .then((result) => {
+        expect(result.status).to.equal(503);
+        expect(result.body).to.deep.equal({error: 'offline'});
+      });
+    });
+
+    it('should keep using the cached version when loaded offline', function() {
+      const url = `${baseTestUrl}end-to-end-caching/step6.html`;
+      const restartServer = () => testServer.start('.', 5050);
+
+      // Stopping the server makes every request fail as if the browser were
+      // offline, so the page, its scripts and the service worker all have to
+      // come from the caches.
+      return testServer.stop()
+        .then(() => webdriverInstance.get(url))
+        .then(() => {
+          return waitForAppCacheEvent(
+            ['cached', 'noupdate', 'updateready', 'error']);
+        })
+        .then((event) => {
+          expect(event.type).to.equal('error');
+          expect(event.fatal).to.equal(false);
+          expect(event.reason).to.equal('offline');
+          return webdriverInstance.executeAsyncScript((callback) => {
+            navigator.serviceWorker.getRegistration().then((registration) => {
+              callback(Boolean(registration &&
+                navigator.serviceWorker.controller));
+            });
+          });
+        })
+        .then((registered) => {
+          expect(registered).to.be.true;
+        })
+        .then(restartServer, (error) => {
+          return restartServer().then(() => {
+            throw error;
+          });
+        });
+    });
+
+    it('should reject a manifest without the CACHE MANIFEST signature', function() {
+      return webdriverInstance.executeAsyncScript((callback) => {
+        window.caches.keys().then(callback);
+      }).then((previousCaches) => {
+        const url = `${baseTestUrl}end-to-end-caching/step7.html`;
+        return webdriverInstance.get(url)
+          .then(() => waitForAppCacheEvent(['cached', 'error']))
+          .then((event) => {
+            expect(event.type).to.equal('error');
+            expect(event.reason).to.equal('invalid');
+            expect(event.fatal).to.equal(true);
+            return webdriverInstance.executeAsyncScript((callback) => {
+              window.caches.keys().then(callback);
+            });
+          }).then((currentCaches) => {
+            // Nothing should have been downloaded for the invalid manifest.
+            const filtered = currentCaches.filter(
+              (cache) => previousCaches.indexOf(cache) === -1);
+            expect(filtered).to.have.lengthOf(0);
+          });
+      });
+    });
+
+    it('should ignore fragments and configured query parameters', function() {
+      const url = `${baseTestUrl}end-to-end-caching/step6.html`;
+      return webdriverInstance.get(url)
+        .then(() => waitForAppCacheEvent(['cached', 'noupdate', 'error']))
+        .then(() => {
+          // /__echo/counter returns a different value each time it's
+          // requested, so only responses from the cache can be the same. The
+          // service worker ignores the v parameter for step6.appcache.
+          return webdriverInstance.executeAsyncScript((callback) => {
+            const fetchText = (requestUrl) => {
+              return fetch(requestUrl).then((response) => response.text());
+            };
+
+            Promise.all([
+              window.caches.match('/__echo/counter')
+                .then((response) => response.text()),
+              fetchText('/__echo/counter?v=2'),
+              fetchText('/__echo/counter#section'),
+            ]).then(callback, (error) => callback([String(error)]));
+          });
+        })
+        .then(([cached, withParam, withFragment]) => {
+          expect(withParam).to.equal(cached);
+          expect(withFragment).to.equal(cached);
+        });
+    });
+
+    it('should precache a manifest when the service worker installs', function() {
+      // precache/service-worker.js has its own scope, and nothing in it uses
+      // the client runtime.
+      const url = `${baseTestUrl}end-to-end-caching/precache/index.html`;
+      return webdriverInstance.get(url)
+      .then(() => {
+        return webdriverInstance.executeAsyncScript((callback) => {
+          const manifestUrl = new URL('precache.appcache', location).href;
+          const entryUrl = new URL('../common.css', location).href;
+          const storeName = 'manifest-url-to-contents';
+
+          // Waits for the install event, and so the precaching, to finish.
+          const waitForInstall = (registration) => {
+            return new Promise((resolve, reject) => {
+              const worker = registration.installing;
+              if (!worker) {
+                resolve();
+                return;
+              }
+
+              worker.addEventListener('statechange', () => {
+                if (worker.state === 'redundant') {
+                  reject(Error('The service worker failed to install.'));
+                } else if (worker.state !== 'installing') {
+                  resolve();
+                }
+              });
+            });
+          };
+
+          navigator.serviceWorker.register('service-worker.js')
+          .then(waitForInstall)
+          .then(() => {
+            return new Promise((resolve, reject) => {
+              const request = indexedDB.open('appcache-to-service-worker');
+              request.onsuccess = () => resolve(request.result);
+              request.onerror = () => reject(request.error);
+            });
+          })
+          .then((db) => {
+            return new Promise((resolve, reject) => {
+              const request = db.transaction(storeName)
+                .objectStore(storeName).get(manifestUrl);
+              request.onsuccess = () => resolve(request.result);
+              request.onerror = () => reject(request.error);
+            }).then((versions) => {
+              db.close();
+              return versions || [];
+            });
+          })
+          .then((versions) => {
+            if (!versions.length) {
+              return {versions: 0};
+            }
+
+            return window.caches.match(entryUrl, {cacheName: versions[0].hash})
+            .then((entry) => ({versions: versions.length, entry: !!entry}));
+          })
+          .then(callback, (error) => callback({error: String(error)}));
+        });
+      })
+      .then((result) => {
+        expect(result.error).to.not.be.ok;
+        expect(result.versions).to.equal(1);
+        expect(result.entry).to.be.true;
+      });
+    });
+
+    it('should get prefer-online master entries from the network', function() {
+      const url = `${baseTestUrl}end-to-end-caching/temp/prefer-online.html`;
+      const pagePath = path.join(tempDirectory, 'prefer-online.html');
+      const generatePageText = (version) => {
+        return `<html manifest="manifest4.appcache">
+  <head>
+    <title>Prefer online ${version}</title>
+  </head>
+  <body>
+    <script src="../app-cache-events.js"></script>
+    <script src="../../../build/client-runtime.js" data-service-worker="../service-worker.js"></script>
+    <script>recordAppCacheEvents();</script>
+  </body>
+</html>`;
+      };
+      const manifestText = `CACHE MANIFEST
+
+CACHE:
+../common.css
+
+NETWORK:
+*
+
+SETTINGS:
+prefer-online`;
+
+      return Promise.all([
+        fsePromise.outputFile(pagePath, generatePageText(1)),
+        fsePromise.outputFile(
+          path.join(tempDirectory, 'manifest4.appcache'), manifestText),
+      ])
+      .then(() => webdriverInstance.get(url))
+      .then(() => waitForAppCacheEvent(['cached', 'noupdate', 'error']))
+      .then((event) => {
+        expect(event.type).to.not.equal('error');
+        // The page is now a cached master entry, but it's changed on the
+        // server since then.
+        return fsePromise.outputFile(pagePath, generatePageText(2));
+      })
+      .then(() => webdriverInstance.get(url))
+      .then(() => webdriverInstance.getTitle())
+      .then((title) => {
+        expect(title).to.equal('Prefer online 2');
+      });
+    });
+
+    it('should use the FALLBACK entry when the network times out', function() {
+      // step6.appcache has a FALLBACK entry for /__echo/delay/, and the
+      // service worker gives those requests a second to respond.
+      const url = `${baseTestUrl}end-to-end-caching/step6.html`;
+      return webdriverInstance.get(url)
+        .then(() => waitForAppCacheEvent(['cached', 'noupdate', 'error']))
+        .then(() => {
+          return webdriverInstance.executeAsyncScript((callback) => {
+            const fetchText = (requestUrl) => {
+              const start = Date.now();
+              return fetch(requestUrl).then((response) => response.text())
+                .then((text) => ({text, duration: Date.now() - start}));
+            };
+
+            Promise.all([
+              fetchText('/__echo/delay/0/fast'),
+              fetchText('/__echo/delay/5000/slow'),
+            ]).then(([fast, slow]) => callback({fast, slow}))
+              .catch((error) => callback({error: error.message}));
+          });
+        })
+        .then((result) => {
+          expect(result.error).to.not.be.ok;
+          expect(result.fast.text).to.equal('fast');
+          expect(result.slow.text).to.equal('fallback');
+          expect(result.slow.duration).to.be.below(5000);
+        });
+    });
+
+    it('should not request a manifest again while it is fresh', function() {
+      // The manifest for step8.html is served with a max-age of an hour.
+      const url = `${baseTestUrl}end-to-end-caching/step8.html`;
+      const getRequestCount = () => {
+        return webdriverInstance.executeAsyncScript((callback) => {
+          fetch('/__test/fresh-manifest/step8/requests')
+            .then((response) => response.json())
+            .then(callback, (error) => callback(error.message));
+        });
+      };
+
+      let previousCount;
+      return webdriverInstance.get(url)
+        .then(() => waitForAppCacheEvent(['cached', 'noupdate', 'error']))
+        .then(getRequestCount)
+        .then((count) => {
+          expect(count).to.be.above(0);
+          previousCount = count;
+          return webdriverInstance.get(url);
+        })
+        .then(() => waitForAppCacheEvent(
+          ['cached', 'noupdate', 'updateready', 'error']))
+        .then((event) => {
+          expect(event.type).to.equal('noupdate');
+          return getRequestCount();
+        })
+        .then((count) => {
+          expect(count).to.equal(previousCount);
+        });
+    });
   });
 };
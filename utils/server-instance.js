@@ -33,6 +33,7 @@ class ServerInstance {
     this._app.use(cookieParser());
 
     this._counter = 1;
+    this._manifestRequests = new Map();
 
     // Test iframe is used by sw-testing-helpers to scope service workers
     this._app.get('/test/iframe/:random', function(req, res) {
@@ -49,6 +50,13 @@ class ServerInstance {
       res.type('text').send(JSON.stringify(this._counter++));
     });
 
+    this._app.get('/__echo/delay/:delay/:file', function(req, res) {
+      setTimeout(() => {
+        res.setHeader('Cache-Control', 'no-cache');
+        res.send(req.params.file);
+      }, parseInt(req.params.delay, 10));
+    });
+
     this._app.get('/__echo/date/:file', function(req, res) {
       res.setHeader('Cache-Control', 'max-age=' + (24 * 60 * 60));
       res.send(`${req.params.file}-${Date.now()}`);
@@ -74,6 +82,24 @@ class ServerInstance {
       );
     });
 
+    // A manifest which stays fresh for an hour, along with the number of
+    // times it's been requested.
+    this._app.get('/__test/fresh-manifest/:name', (req, res) => {
+      const name = req.params.name;
+      this._manifestRequests.set(name,
+        (this._manifestRequests.get(name) || 0) + 1);
+      res.setHeader('Cache-Control', 'max-age=' + (60 * 60));
+      res.type('text/cache-manifest').send(
+        `CACHE MANIFEST\n# ${name}\n\n` +
+        `CACHE:\n/test/end-to-end-caching/common.css\n\nNETWORK:\n*\n`);
+    });
+
+    this._app.get('/__test/fresh-manifest/:name/requests', (req, res) => {
+      res.setHeader('Cache-Control', 'no-cache');
+      res.type('text').send(
+        JSON.stringify(this._manifestRequests.get(req.params.name) || 0));
+    });
+
     this._app.get('/__test/cookie/:id', function(req, res) {
       res.send(JSON.stringify(req.cookies));
     });